@@ -0,0 +1,123 @@
+// Cluster mode (see README). Several server processes behind one load balancer
+// share Socket.IO rooms and events through an adapter, and keep a registry of
+// which node owns each stream key (its live stream, FFmpeg jobs and caches)
+// and the URL every node is reachable at. Registry entries expire unless
+// refreshed, so the keys of a crashed node free up after CLUSTER_OWNER_TTL seconds.
+//
+// A backend is an object with:
+//   ready                    resolves once connected
+//   adapter                  Socket.IO adapter for io.adapter()
+//   claim(key)               own key unless another node does; resolves to the owner's node id
+//   takeOver(key)            own key regardless; resolves to the previous owner (or null)
+//   refresh(key)             keep owning key; resolves to false if another node took it
+//   release(key)             stop owning key (if still ours)
+//   getOwner(key)            resolves to the node id owning key, or null
+//   touchNode()              announce this node and its NODE_URL
+//   getNodeUrl(nodeId)       resolves to a live node's URL, or null
+//   isConnected()            whether the registry can be reached right now
+//   close()                  disconnect
+const os = require('os');
+
+// Only the owner may refresh or delete its claim
+const REFRESH_SCRIPT = "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('PEXPIRE', KEYS[1], ARGV[2]) else return 0 end";
+const RELEASE_SCRIPT = "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) else return 0 end";
+
+// Helper function to create the redis backend (works with Redis, Valkey,
+// KeyDB, ...). Its packages are only loaded in cluster mode.
+function createRedisCluster(env, { nodeId, nodeUrl, ttl }) {
+  const { createClient } = require('redis');
+  const { createAdapter } = require('@socket.io/redis-adapter');
+  if (!env.CLUSTER_REDIS_URL) {
+    throw new Error('The redis cluster adapter needs CLUSTER_REDIS_URL');
+  }
+  const prefix = env.CLUSTER_PREFIX || 'outback:';
+  const ttlMs = ttl * 1000;
+  const client = createClient({ url: env.CLUSTER_REDIS_URL });
+  const subscriber = client.duplicate();
+  for (const [name, redisClient] of [['client', client], ['subscriber', subscriber]]) {
+    redisClient.on('error', (err) => console.error(`Cluster: Redis ${name} error:`, err.message));
+  }
+
+  const ownerKey = (streamKey) => `${prefix}owner:${streamKey}`;
+
+  return {
+    ready: Promise.all([client.connect(), subscriber.connect()]),
+    // Other nodes get this long (ms) to answer fetchSockets() and serverSideEmit() acks
+    adapter: createAdapter(client, subscriber, { key: `${prefix}socket.io`, requestsTimeout: 3000 }),
+
+    async claim(streamKey) {
+      if (await client.set(ownerKey(streamKey), nodeId, { NX: true, PX: ttlMs })) {
+        return nodeId;
+      }
+      return (await client.get(ownerKey(streamKey))) || this.claim(streamKey);
+    },
+
+    async takeOver(streamKey) {
+      const previous = await client.set(ownerKey(streamKey), nodeId, { PX: ttlMs, GET: true });
+      return previous && previous !== nodeId ? previous : null;
+    },
+
+    async refresh(streamKey) {
+      return Boolean(await client.eval(REFRESH_SCRIPT, { keys: [ownerKey(streamKey)], arguments: [nodeId, String(ttlMs)] }));
+    },
+
+    async release(streamKey) {
+      await client.eval(RELEASE_SCRIPT, { keys: [ownerKey(streamKey)], arguments: [nodeId] });
+    },
+
+    getOwner(streamKey) {
+      return client.get(ownerKey(streamKey));
+    },
+
+    async touchNode() {
+      await client.set(`${prefix}node:${nodeId}`, nodeUrl, { PX: ttlMs });
+    },
+
+    getNodeUrl(otherNodeId) {
+      return client.get(`${prefix}node:${otherNodeId}`);
+    },
+
+    isConnected() {
+      return client.isReady && subscriber.isReady;
+    },
+
+    async close() {
+      await Promise.allSettled([client.quit(), subscriber.quit()]);
+    }
+  };
+}
+
+const BACKENDS = {
+  redis: createRedisCluster
+};
+
+// Helper function to set up cluster mode from CLUSTER_ADAPTER. Returns null
+// when it is unset, i.e. a single node. The backend also gets the node's
+// nodeId, nodeUrl and ttl (seconds).
+function createCluster(env, port) {
+  const name = env.CLUSTER_ADAPTER;
+  if (!name) {
+    return null;
+  }
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown CLUSTER_ADAPTER "${name}", use one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  const options = {
+    // Keep NODE_ID stable across restarts, so a node recovers its own streams
+    nodeId: env.NODE_ID || os.hostname(),
+    nodeUrl: (env.NODE_URL || `http://${os.hostname()}:${port}`).replace(/\/+$/, ''),
+    ttl: Number(env.CLUSTER_OWNER_TTL) || 30
+  };
+  if (!/^[A-Za-z0-9_.-]+$/.test(options.nodeId)) {
+    throw new Error(`NODE_ID "${options.nodeId}" may only contain letters, digits, '.', '_' and '-'`);
+  }
+  if (!options.nodeUrl.startsWith('http://')) {
+    throw new Error('NODE_URL must be a plain http:// URL the other nodes can reach');
+  }
+  if (options.ttl < 3) {
+    throw new Error('CLUSTER_OWNER_TTL must be at least 3 seconds');
+  }
+  return { ...options, ...BACKENDS[name](env, options) };
+}
+
+module.exports = { createCluster };
@@ -5,11 +5,15 @@ const { Server } = require('socket.io');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const ffmpeg = require('fluent-ffmpeg');
+const { MANIFEST_FILE, CHAIN_FILE, getChainGenesis, getChainLink, getKeyId, createManifest, verifyRecording } = require('./verify');
+const { createStorage, getObjectKey, readStorageIndex, updateStorageIndex, getEvictedFiles } = require('./storage');
+const { createCluster } = require('./cluster');
 
 // Set FFmpeg path (for Docker/Alpine Linux)
 // In Alpine, FFmpeg is typically at /usr/bin/ffmpeg
-const { execSync } = require('child_process');
+const { execSync, execFile } = require('child_process');
 let ffmpegPath = null;
 
 // Try common locations for FFmpeg binary (Alpine Linux default is /usr/bin/ffmpeg)
@@ -56,7 +60,185 @@ const io = new Server(server, {
 });
 
 const PORT = process.env.PORT || 3000;
-const RECORDINGS_DIR = path.join(__dirname, 'recordings');
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR ? path.resolve(process.env.RECORDINGS_DIR) : path.join(__dirname, 'recordings');
+
+// Cluster mode (CLUSTER_ADAPTER, see cluster.js): nodes share RECORDINGS_DIR,
+// Socket.IO events go through the adapter, and requests for a stream key are
+// proxied to the node that owns it. Null on a single node.
+const cluster = createCluster(process.env, PORT);
+// Marks requests proxied by another node, which are served wherever they land
+const CLUSTER_FORWARDED_HEADER = 'x-outback-forwarded-by';
+
+// Shared secret used to sign per-user stream tokens (see README)
+const STREAM_TOKEN_SECRET = process.env.STREAM_TOKEN_SECRET || '';
+// Opt-in: also require tokens for /watch, /timelapse and /recordings
+const WATCH_REQUIRE_TOKEN = process.env.WATCH_REQUIRE_TOKEN === 'true';
+// Longest lifetime POST /tokens issues tokens with (30 days)
+const MAX_TOKEN_EXPIRES_IN = 30 * 24 * 60 * 60;
+
+// Allowed userId/challengeNum values, for every route and socket event. They
+// end up in file paths, so path separators and leading dots are never allowed.
+// challengeNum can't contain underscores (stream keys are userId_challengeNum).
+const KEY_FIELD_RULES = {
+  userId: {
+    pattern: new RegExp(process.env.USER_ID_PATTERN || '^[A-Za-z0-9][A-Za-z0-9._@-]*$'),
+    maxLength: Number(process.env.USER_ID_MAX_LENGTH) || 64
+  },
+  challengeNum: {
+    pattern: new RegExp(process.env.CHALLENGE_NUM_PATTERN || '^[A-Za-z0-9][A-Za-z0-9-]*$'),
+    maxLength: Number(process.env.CHALLENGE_NUM_MAX_LENGTH) || 32
+  }
+};
+
+// Key required by the recording catalog API (Authorization: Bearer <key>)
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+
+// Chunks waiting to be written per stream before new ones are refused
+const MAX_BUFFERED_CHUNK_BYTES = 32 * 1024 * 1024;
+// Seconds a stream stays open after its streamer disconnects, for the stream
+// page to reconnect and upload what it buffered meanwhile (0 = stop right away)
+const STREAM_RECONNECT_GRACE = process.env.STREAM_RECONNECT_GRACE !== undefined
+  ? Number(process.env.STREAM_RECONNECT_GRACE) || 0
+  : 60;
+
+// On-disk store for live streams and timelapse jobs, reconciled on boot (one
+// per node in cluster mode). The leading dot keeps it out of the /recordings
+// static file server.
+const STATE_FILE = path.join(RECORDINGS_DIR, cluster ? `.state.${cluster.nodeId}.json` : '.state.json');
+// Re-queue timelapse jobs interrupted by a restart (otherwise they are marked failed)
+const RECOVERY_REQUEUE_JOBS = process.env.RECOVERY_REQUEUE_JOBS !== 'false';
+
+// Adaptive bitrate ladder for live and timelapse HLS, highest rendition first:
+// comma-separated heights, each optionally with a video bitrate cap in kbit/s
+// (e.g. 1080:5000,720:2800,480:1400). Live streams transcode at most
+// LIVE_MAX_RENDITIONS of them (0 = all): the highest plus the lowest ones.
+const HLS_RENDITIONS = parseRenditionLadder(process.env.HLS_RENDITIONS || '1080,720,480');
+const LIVE_MAX_RENDITIONS = process.env.LIVE_MAX_RENDITIONS !== undefined
+  ? Number(process.env.LIVE_MAX_RENDITIONS) || 0
+  : 2;
+const RENDITION_AUDIO_BITRATE = 128;
+
+// Watermark burned into live streams and timelapses, off unless
+// WATERMARK_TEMPLATE is set (see README for its placeholders). The font is a
+// fontconfig name or a font file path; the size is an FFmpeg expression.
+const WATERMARK_TEMPLATE = process.env.WATERMARK_TEMPLATE || '';
+const WATERMARK_POSITION = process.env.WATERMARK_POSITION || 'bottom-left';
+const WATERMARK_FONT = process.env.WATERMARK_FONT || 'Sans';
+const WATERMARK_FONT_SIZE = process.env.WATERMARK_FONT_SIZE || 'h/30';
+// drawtext x/y expressions, with a margin of 2% of the video height
+const WATERMARK_POSITIONS = {
+  'top-left': ['h/50', 'h/50'],
+  'top-center': ['(w-tw)/2', 'h/50'],
+  'top-right': ['w-tw-h/50', 'h/50'],
+  'bottom-left': ['h/50', 'h-th-h/50'],
+  'bottom-center': ['(w-tw)/2', 'h-th-h/50'],
+  'bottom-right': ['w-tw-h/50', 'h-th-h/50']
+};
+if (!WATERMARK_POSITIONS[WATERMARK_POSITION]) {
+  throw new Error(`Invalid WATERMARK_POSITION "${WATERMARK_POSITION}" (expected one of ${Object.keys(WATERMARK_POSITIONS).join(', ')})`);
+}
+
+// Timelapse defaults; /timelapse query parameters can override them per request
+const TIMELAPSE_DEFAULTS = {
+  speed: Number(process.env.TIMELAPSE_DEFAULT_SPEED) || 60,
+  duration: null,
+  maxHeight: null,
+  audio: true,
+  preset: process.env.TIMELAPSE_PRESET || 'ultrafast',
+  idle: null
+};
+const TIMELAPSE_MAX_SPEED = 1000;
+// Thumbnails: scrub-preview width, contact sheet grid, and how often to refresh
+// them while live (seconds, 0 = only when the stream stops)
+const THUMBNAIL_WIDTH = 160;
+const THUMBNAIL_MIN_INTERVAL = 10;
+const CONTACT_SHEET_COLUMNS = 4;
+const CONTACT_SHEET_ROWS = 4;
+const THUMBNAIL_REFRESH_INTERVAL = Number(process.env.THUMBNAIL_REFRESH_INTERVAL) || 0;
+
+// Idle detection: a static screen for at least IDLE_MIN_DURATION seconds (within
+// IDLE_NOISE, see FFmpeg's freezedetect) counts as idle. Timelapses with
+// idle=compress keep every IDLE_COMPRESSION-th frame of idle spans.
+const IDLE_MIN_DURATION = Number(process.env.IDLE_MIN_DURATION) || 60;
+const IDLE_NOISE = process.env.IDLE_NOISE || '-50dB';
+const IDLE_COMPRESSION = 10;
+
+// Maximum number of timelapse FFmpeg processes running at once
+const TIMELAPSE_CONCURRENCY = Number(process.env.TIMELAPSE_CONCURRENCY) || 2;
+// Maximum number of thumbnail and activity FFmpeg passes running at once (they
+// decode whole recordings too, e.g. for every stream that stops)
+const ANALYSIS_CONCURRENCY = Number(process.env.ANALYSIS_CONCURRENCY) || 1;
+// How long finished jobs can still be looked up at /jobs/:id
+const TIMELAPSE_JOB_RETENTION_MS = 60 * 60 * 1000;
+const X264_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+
+// Outbound webhooks: comma-separated endpoint URLs, and the secret their
+// payloads are signed with (see README)
+const WEBHOOK_URLS = (process.env.WEBHOOK_URLS || '').split(',').map((url) => url.trim()).filter(Boolean);
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+// Delivery log, kept out of the /recordings static file server like the state file
+const WEBHOOK_LOG_FILE = path.join(RECORDINGS_DIR, cluster ? `.webhooks.${cluster.nodeId}.json` : '.webhooks.json');
+const WEBHOOK_LOG_LIMIT = 500;
+// Public base URL used for playback links in webhook payloads (e.g. https://stream.example.com)
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+
+// Retention, in days (0 = keep forever): raw input.webm files are removed
+// RETENTION_INPUT_DAYS after a timelapse covering them was generated, whole
+// recordings RETENTION_RECORDING_DAYS after their last session ended
+const RETENTION_INPUT_DAYS = Number(process.env.RETENTION_INPUT_DAYS) || 0;
+const RETENTION_RECORDING_DAYS = Number(process.env.RETENTION_RECORDING_DAYS) || 0;
+const RETENTION_CHECK_INTERVAL = 60 * 60;
+// Disk limits checked on start-stream, in MB (0 = no limit). New streams are
+// refused below MIN_FREE_DISK_MB so running ones can still be written out.
+const USER_QUOTA_MB = Number(process.env.USER_QUOTA_MB) || 0;
+const GLOBAL_QUOTA_MB = Number(process.env.GLOBAL_QUOTA_MB) || 0;
+const MIN_FREE_DISK_MB = process.env.MIN_FREE_DISK_MB !== undefined ? Number(process.env.MIN_FREE_DISK_MB) : 500;
+
+// /metrics: upper bounds (seconds) of the timelapse generation time histogram,
+// and how long the RECORDINGS_DIR size (also used by the quotas) is cached
+const TIMELAPSE_DURATION_BUCKETS = [10, 30, 60, 120, 300, 600, 1200, 1800, 3600];
+const DISK_USAGE_CACHE_MS = 60 * 1000;
+
+// Readiness: encoders the live and timelapse transcodes need, and how long a
+// live FFmpeg may go without writing a segment while chunks keep arriving
+const REQUIRED_ENCODERS = ['libx264', 'aac'];
+const LIVE_STALL_SECONDS = Number(process.env.LIVE_STALL_SECONDS) || 30;
+
+// Seconds a SIGTERM shutdown may take to let FFmpeg finish and finalize playlists.
+// Keep it below the container's stop timeout (10 seconds by default in Docker).
+const SHUTDOWN_TIMEOUT = Number(process.env.SHUTDOWN_TIMEOUT) || 8;
+
+// Ed25519 private key (PEM) recording manifests are signed with, generated on
+// first boot if missing. The leading dot keeps it out of /recordings.
+const MANIFEST_KEY_FILE = process.env.MANIFEST_KEY_FILE || path.join(RECORDINGS_DIR, '.manifest-key.pem');
+
+// Where finished recordings are kept besides RECORDINGS_DIR (STORAGE_BACKEND,
+// S3_* settings, see storage.js). With STORAGE_EVICT_LOCAL, uploaded segments
+// and raw inputs are deleted from disk and served from the bucket.
+const storage = createStorage(process.env);
+const STORAGE_EVICT_LOCAL = process.env.STORAGE_EVICT_LOCAL === 'true';
+const STORAGE_SYNC_INTERVAL = 60 * 60;
+const STORAGE_INDEX_BATCH = 50;
+// Protocols FFmpeg may open when its input comes from the bucket
+const STORAGE_PROTOCOLS = 'file,http,https,tcp,tls,crypto';
+
+if (!STREAM_TOKEN_SECRET) {
+  console.error('ERROR: STREAM_TOKEN_SECRET is not set. All streaming requests will be rejected.');
+}
+if (!ADMIN_API_KEY) {
+  console.warn(WATCH_REQUIRE_TOKEN
+    ? 'Warning: ADMIN_API_KEY is not set, the recording catalog, /live, /metrics and webhook deliveries are disabled.'
+    : 'Warning: ADMIN_API_KEY is not set, the recording catalog, /live, /metrics and webhook deliveries are public.');
+}
+if (WEBHOOK_URLS.length > 0 && !WEBHOOK_SECRET) {
+  // Payloads carry playback URLs and tokens, so they are never sent unsigned
+  throw new Error('WEBHOOK_URLS is set without WEBHOOK_SECRET, webhooks must be signed');
+}
+if (STORAGE_EVICT_LOCAL && !storage) {
+  console.error('Warning: STORAGE_EVICT_LOCAL is set without a remote STORAGE_BACKEND, nothing will be evicted.');
+}
 
 // Ensure recordings directory exists
 if (!fs.existsSync(RECORDINGS_DIR)) {
@@ -68,509 +250,5041 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
-// Serve HLS recordings
-app.use('/recordings', express.static(RECORDINGS_DIR));
+// Validate :userId and :challengeNum for every route that has them
+for (const field of Object.keys(KEY_FIELD_RULES)) {
+  app.param(field, (req, res, next, value) => {
+    const invalid = validateKeyField(field, value);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+    next();
+  });
+}
+
+// Serve HLS recordings (token-protected when WATCH_REQUIRE_TOKEN is enabled).
+// Files evicted to the storage backend redirect to the bucket.
+app.use('/recordings', requireRecordingToken, express.static(RECORDINGS_DIR), redirectToStorage);
 
 // Store active streams and FFmpeg processes
 const activeStreams = new Map();
 const ffmpegProcesses = new Map();
 const timelapseProcesses = new Map();
+// Callbacks waiting for a running activity analysis, by process key
+const activityWaiters = new Map();
+
+// Timelapse jobs by id, and the queue of jobs waiting for a free FFmpeg slot
+const timelapseJobs = new Map();
+const timelapseQueue = [];
+let runningTimelapseJobs = 0;
+
+// Thumbnail and activity passes waiting for one of ANALYSIS_CONCURRENCY slots
+const analysisQueue = [];
+let runningAnalysisTasks = 0;
+
+// Set once SIGTERM/SIGINT was received; new streams and jobs are refused from then on
+let shuttingDown = false;
+
+// Webhook deliveries, oldest first (persisted to WEBHOOK_LOG_FILE)
+const webhookDeliveries = [];
+
+// Manifest signing key (see loadManifestKey), and the manifest seal or
+// verification running for each recording, by stream key
+let manifestKey = null;
+const manifestSeals = new Map();
+const manifestVerifications = new Map();
+
+// Uploads to the storage backend in progress, by stream key
+const storageUploads = new Map();
+
+// Stream keys this node owns in cluster mode, with when each was last used
+const clusterClaims = new Map();
+
+// Counters exported at /metrics (since process start)
+const metrics = {
+  chunksReceived: 0,
+  chunkBytesReceived: 0,
+  chunkGaps: 0,
+  chunksMissing: 0,
+  streamReconnects: 0,
+  liveFfmpegRestarts: 0,
+  timelapseFailures: 0,
+  timelapseDurationBuckets: TIMELAPSE_DURATION_BUCKETS.map(() => 0),
+  timelapseDurationSum: 0,
+  timelapseDurationCount: 0,
+  socketConnections: 0,
+  storageUploads: 0,
+  storageUploadBytes: 0,
+  storageUploadFailures: 0,
+  storageEvictedBytes: 0
+};
 
 // Helper function to get stream key
 function getStreamKey(userId, challengeNum) {
   return `${userId}_${challengeNum}`;
 }
 
-// Helper function to get recording path
+// Helper function to check a userId or challengeNum against KEY_FIELD_RULES.
+// Returns a structured error for the response or event, or null if it is valid.
+function validateKeyField(field, value) {
+  const rules = KEY_FIELD_RULES[field];
+  let reason = null;
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    reason = `${field} is required`;
+  } else if (String(value).length > rules.maxLength) {
+    reason = `${field} must be at most ${rules.maxLength} characters`;
+  } else if (!rules.pattern.test(String(value)) || /[\\/]/.test(String(value)) || String(value).startsWith('.')) {
+    reason = `${field} contains characters that are not allowed (must match ${rules.pattern.source})`;
+  }
+  return reason ? { error: `Invalid ${field}`, message: reason, field } : null;
+}
+
+// Helper function to validate both parts of a stream key
+function validateStreamKey(userId, challengeNum) {
+  return validateKeyField('userId', userId) || validateKeyField('challengeNum', challengeNum);
+}
+
+// Helper function to check that a Socket.IO event payload is a plain object
+// before a handler destructures it (null, a number or a string would throw)
+function validateEventPayload(payload) {
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { error: 'Invalid payload', message: 'The event payload must be an object' };
+  }
+  return null;
+}
+
+// Helper function to validate the payload of an event carrying a stream key
+function validateStreamKeyPayload(payload) {
+  return validateEventPayload(payload) || validateStreamKey(payload.userId, payload.challengeNum);
+}
+
+// Helper function to get recording path. Keys are validated before they get
+// here; refusing paths outside RECORDINGS_DIR is a last line of defence.
 function getRecordingPath(userId, challengeNum) {
   const streamKey = getStreamKey(userId, challengeNum);
-  return path.join(RECORDINGS_DIR, streamKey);
+  const recordingPath = path.join(RECORDINGS_DIR, streamKey);
+  if (path.dirname(recordingPath) !== RECORDINGS_DIR) {
+    throw new Error(`Refusing recording path outside ${RECORDINGS_DIR}: ${streamKey}`);
+  }
+  return recordingPath;
 }
 
-// Helper function to generate timelapse (60x speed)
-function generateTimelapse(userId, challengeNum, callback) {
-  const streamKey = getStreamKey(userId, challengeNum);
+// Helper function to get the directory name of a numbered session
+function getSessionName(sessionNum) {
+  return `session_${String(sessionNum).padStart(3, '0')}`;
+}
+
+// Helper function to read a session's session.json, or {} if it has none
+function readSessionMetadata(sessionPath) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(sessionPath, 'session.json'), 'utf8'));
+  } catch (e) {
+    return {};
+  }
+}
+
+// Helper function to list the sessions of a recording that have data, in order.
+// Every start-stream opens a new session_NNN directory so earlier footage is kept.
+// Recordings made before sessions existed keep their input.webm at the top level
+// and are treated as session 0. Sessions whose input.webm was removed by the
+// retention policy are still listed (pruned: true), their segments remain.
+// When the input was evicted to the storage backend, storedInput is its index
+// entry and inputFile its URL in the bucket.
+function getSessions(userId, challengeNum) {
   const recordingPath = getRecordingPath(userId, challengeNum);
-  const inputFile = path.join(recordingPath, 'input.webm');
-  const timelapsePlaylist = path.join(recordingPath, 'timelapse.m3u8');
+  if (!fs.existsSync(recordingPath)) {
+    return [];
+  }
 
-  // Check if input file exists
-  if (!fs.existsSync(inputFile)) {
-    return callback(new Error('Input file not found'));
+  // Inputs evicted to the storage backend count as present
+  const storageIndex = readStorageIndex(recordingPath);
+  const sessions = [];
+  if (fs.existsSync(path.join(recordingPath, 'input.webm'))) {
+    sessions.push({ number: 0, path: recordingPath, relPath: '' });
+  }
+  for (const entry of fs.readdirSync(recordingPath)) {
+    const match = entry.match(/^session_(\d+)$/);
+    if (!match) {
+      continue;
+    }
+    const sessionPath = path.join(recordingPath, entry);
+    const hasInput = fs.existsSync(path.join(sessionPath, 'input.webm')) || Boolean(storageIndex[`${entry}/input.webm`]);
+    if (hasInput || readSessionMetadata(sessionPath).inputPrunedAt) {
+      sessions.push({
+        number: parseInt(match[1], 10),
+        path: sessionPath,
+        relPath: `${entry}/`,
+        pruned: !hasInput
+      });
+    }
   }
 
-  // Check if timelapse already exists and is recent
-  if (fs.existsSync(timelapsePlaylist)) {
-    const inputStats = fs.statSync(inputFile);
-    const timelapseStats = fs.statSync(timelapsePlaylist);
-    // If timelapse is newer than input, use existing
-    if (timelapseStats.mtime >= inputStats.mtime) {
-      return callback(null, timelapsePlaylist);
+  sessions.sort((a, b) => a.number - b.number);
+  for (const session of sessions) {
+    session.inputFile = path.join(session.path, 'input.webm');
+    session.pruned = Boolean(session.pruned);
+    // Evicted inputs are read straight from the bucket
+    const storedInput = storageIndex[`${session.relPath}input.webm`];
+    session.storedInput = storedInput && storedInput.evictedAt ? storedInput : null;
+    if (session.storedInput && storage) {
+      session.inputFile = storage.getUrl(getObjectKey(recordingPath, `${session.relPath}input.webm`));
     }
   }
+  return sessions;
+}
 
-  // Check if timelapse is already being generated
-  if (timelapseProcesses.has(streamKey)) {
-    return callback(new Error('Timelapse generation already in progress'));
+// Helper function to pick the number for the next session of a recording
+function getNextSessionNumber(userId, challengeNum) {
+  const recordingPath = getRecordingPath(userId, challengeNum);
+  let highest = 0;
+  if (fs.existsSync(recordingPath)) {
+    for (const entry of fs.readdirSync(recordingPath)) {
+      const match = entry.match(/^session_(\d+)$/);
+      if (match) {
+        highest = Math.max(highest, parseInt(match[1], 10));
+      }
+    }
   }
+  return highest + 1;
+}
 
-  console.log(`Generating timelapse for ${streamKey}...`);
-
-  // Create timelapse with 60x speed using setpts filter
-  const ffmpegProcess = ffmpeg(inputFile)
-    .inputOptions([
-      '-fflags', '+genpts'
-    ])
-    .videoFilters([
-      'setpts=0.01667*PTS' // 60x speed (1/60 = 0.01667)
-    ])
-    .audioFilters([
-      'atempo=2.0,atempo=2.0,atempo=2.0,atempo=2.0,atempo=1.875' // 60x audio speed (2.0 * 2.0 * 2.0 * 2.0 * 1.875 = 60.0)
-    ])
-    .outputOptions([
-      '-c:v', 'libx264',
-      '-preset', 'ultrafast',
-      '-c:a', 'aac',
-      '-f', 'hls',
-      '-hls_time', '2',
-      '-hls_list_size', '0',
-      '-hls_flags', 'delete_segments',
-      '-hls_segment_filename', path.join(recordingPath, 'timelapse_segment_%03d.ts'),
-      '-hls_playlist_type', 'vod'
-    ])
-    .output(timelapsePlaylist)
-    .on('start', (commandLine) => {
-      console.log(`Timelapse FFmpeg started for ${streamKey}`);
-    })
-    .on('progress', (progress) => {
-      console.log(`Timelapse progress for ${streamKey}: ${progress.percent}%`);
-    })
-    .on('end', () => {
-      console.log(`Timelapse generation completed for ${streamKey}`);
-      timelapseProcesses.delete(streamKey);
-      callback(null, timelapsePlaylist);
-    })
-    .on('error', (err) => {
-      console.error(`Timelapse FFmpeg error for ${streamKey}:`, err.message);
-      timelapseProcesses.delete(streamKey);
-      callback(err);
-    });
+// Helper function to create an FFmpeg command reading all sessions of a recording
+// as one continuous input (via the concat demuxer when there is more than one)
+function createSessionsCommand(userId, challengeNum, sessions) {
+  if (sessions.length === 1) {
+    return ffmpeg(sessions[0].inputFile).inputOptions(['-fflags', '+genpts']);
+  }
+
+  const listFile = path.join(getRecordingPath(userId, challengeNum), 'inputs.txt');
+  const list = sessions.map((session) => `file '${session.inputFile.replace(/'/g, "'\\''")}'`).join('\n');
+  fs.writeFileSync(listFile, list + '\n');
 
-  timelapseProcesses.set(streamKey, ffmpegProcess);
-  ffmpegProcess.run();
+  const command = ffmpeg(listFile).inputOptions([
+    '-f', 'concat',
+    '-safe', '0',
+    '-fflags', '+genpts'
+  ]);
+  // The concat demuxer only opens local files unless told otherwise
+  if (sessions.some((session) => session.storedInput)) {
+    command.inputOptions(['-protocol_whitelist', STORAGE_PROTOCOLS]);
+  }
+  return command;
 }
 
-// WebSocket handlers for streaming
-io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
+// Helper function to turn relative URIs in an HLS playlist into absolute URLs,
+// optionally appending a query string (e.g. a watch token). storedUrl, if
+// given, maps a URI to its URL in the storage backend (or null to keep it here).
+function rewritePlaylistUrls(playlistContent, baseUrl, query = '', storedUrl = null) {
+  return playlistContent.replace(/^(?!#)(?![a-z]+:\/\/)(\S+)$/gm, (uri) => (storedUrl && storedUrl(uri)) || baseUrl + uri + query);
+}
 
-  socket.on('start-stream', async ({ userId, challengeNum }) => {
-    const streamKey = getStreamKey(userId, challengeNum);
-    console.log(`Starting stream: ${streamKey}`);
+// Helper function to stitch the per-session playlists of a recording into one
+// continuous playlist, with a discontinuity marker between sessions.
+// playlistNames lists the per-session playlist files to use, in order of preference.
+// storedUrl maps paths relative to the recording to the storage backend (see
+// getStoredUrlResolver).
+function buildSessionsPlaylist(sessions, playlistNames, baseUrl, query = '', storedUrl = null) {
+  let targetDuration = 0;
+  // The sequence number of the playlist's first segment, i.e. the first session's
+  let mediaSequence = null;
+  let playlistType = null;
+  let ended = false;
+  const bodies = [];
 
-    // Create recording directory
-    const recordingPath = getRecordingPath(userId, challengeNum);
-    if (!fs.existsSync(recordingPath)) {
-      fs.mkdirSync(recordingPath, { recursive: true });
+  for (const session of sessions) {
+    const playlistPath = playlistNames
+      .map((name) => path.join(session.path, name))
+      .find((candidate) => fs.existsSync(candidate));
+    if (!playlistPath) {
+      continue;
     }
 
-    const outputPlaylist = path.join(recordingPath, 'playlist.m3u8');
-    const inputFile = path.join(recordingPath, 'input.webm');
-    
-    // Create a write stream for incoming WebM chunks
-    const writeStream = fs.createWriteStream(inputFile);
-
-    // Store socket in active streams
-    activeStreams.set(streamKey, {
-      socketId: socket.id,
-      userId,
-      challengeNum,
-      startTime: Date.now(),
-      recordingPath,
-      writeStream,
-      ffmpegStarted: false
-    });
+    const lines = fs.readFileSync(playlistPath, 'utf8').split('\n');
+    const body = [];
+    ended = false;
+    for (const line of lines) {
+      if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+        targetDuration = Math.max(targetDuration, parseInt(line.split(':')[1], 10) || 0);
+      } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+        if (mediaSequence === null) {
+          mediaSequence = parseInt(line.split(':')[1], 10) || 0;
+        }
+      } else if (line.startsWith('#EXT-X-PLAYLIST-TYPE:')) {
+        playlistType = line.split(':')[1];
+      } else if (line.startsWith('#EXT-X-ENDLIST')) {
+        ended = true;
+      } else if (line.trim() && !line.startsWith('#EXTM3U') && !line.startsWith('#EXT-X-VERSION')) {
+        body.push(line.startsWith('#') ? line : rewritePlaylistUrls(line, baseUrl + session.relPath, query,
+          storedUrl && ((uri) => storedUrl(session.relPath + uri))));
+      }
+    }
+    bodies.push(body.join('\n'));
+  }
 
-    socket.join(streamKey);
-    socket.emit('stream-ready', { streamKey });
-  });
+  if (bodies.length === 0) {
+    return null;
+  }
 
-  socket.on('stream-chunk', ({ userId, challengeNum, chunk }) => {
-    const streamKey = getStreamKey(userId, challengeNum);
-    const streamInfo = activeStreams.get(streamKey);
-    
-    if (streamInfo && streamInfo.writeStream) {
-      // Write chunk to file
-      const buffer = Buffer.from(chunk, 'base64');
-      streamInfo.writeStream.write(buffer);
-      
-      // Start FFmpeg on first chunk (or after a few chunks)
-      if (!streamInfo.ffmpegStarted && !ffmpegProcesses.has(streamKey)) {
-        streamInfo.ffmpegStarted = true;
-        // Wait a bit to ensure we have valid WebM headers
-        setTimeout(() => {
-          const recordingPath = streamInfo.recordingPath;
-          const inputFile = path.join(recordingPath, 'input.webm');
-          const outputPlaylist = path.join(recordingPath, 'playlist.m3u8');
-          
-          // Check if file exists and has some data
-          try {
-            const stats = fs.statSync(inputFile);
-            if (stats.size < 100) {
-              // File too small, wait a bit more
-              streamInfo.ffmpegStarted = false;
-              return;
-            }
-          } catch (e) {
-            // File doesn't exist yet
-            streamInfo.ffmpegStarted = false;
-            return;
-          }
+  const header = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${targetDuration}`,
+    `#EXT-X-MEDIA-SEQUENCE:${mediaSequence || 0}`
+  ];
+  if (playlistType) {
+    header.push(`#EXT-X-PLAYLIST-TYPE:${playlistType}`);
+  }
 
-          const ffmpegProcess = ffmpeg(inputFile)
-            .inputOptions([
-              '-fflags', '+genpts+discardcorrupt',
-              '-flags', 'low_delay',
-              '-strict', 'experimental',
-              '-analyzeduration', '1000000',
-              '-probesize', '1000000'
-            ])
-            .outputOptions([
-              '-c:v', 'libx264',
-              '-preset', 'ultrafast',
-              '-tune', 'zerolatency',
-              '-c:a', 'aac',
-              '-f', 'hls',
-              '-hls_time', '2',
-              '-hls_list_size', '5',
-              '-hls_flags', 'delete_segments+append_list',
-              '-hls_segment_filename', path.join(recordingPath, 'segment_%03d.ts'),
-              '-hls_playlist_type', 'event',
-              '-start_number', '0'
-            ])
-            .output(outputPlaylist)
-            .on('start', (commandLine) => {
-              console.log(`FFmpeg started for ${streamKey}`);
-            })
-            .on('error', (err) => {
-              console.error(`FFmpeg error for ${streamKey}:`, err.message);
-              ffmpegProcesses.delete(streamKey);
-              if (streamInfo) {
-                streamInfo.ffmpegStarted = false;
-              }
-              // Try to restart FFmpeg if it fails and stream is still active
-              if (activeStreams.has(streamKey)) {
-                setTimeout(() => {
-                  if (activeStreams.has(streamKey) && !ffmpegProcesses.has(streamKey)) {
-                    console.log(`Retrying FFmpeg for ${streamKey}`);
-                    // Will retry on next chunk
-                    if (streamInfo) {
-                      streamInfo.ffmpegStarted = false;
-                    }
-                  }
-                }, 2000);
-              }
-            })
-            .on('end', () => {
-              console.log(`FFmpeg finished for ${streamKey}`);
-              ffmpegProcesses.delete(streamKey);
-            });
+  let playlistContent = header.join('\n') + '\n' + bodies.filter(Boolean).join('\n#EXT-X-DISCONTINUITY\n') + '\n';
+  if (ended) {
+    playlistContent += '#EXT-X-ENDLIST\n';
+  }
+  return playlistContent;
+}
 
-          ffmpegProcess.run();
-          ffmpegProcesses.set(streamKey, ffmpegProcess);
-        }, 1000);
-      }
+// Helper function to parse the media segments of an HLS playlist
+function parsePlaylistSegments(playlistContent) {
+  const segments = [];
+  let tags = [];
+  for (const line of playlistContent.split('\n')) {
+    if (line.startsWith('#EXTINF') || line.startsWith('#EXT-X-DISCONTINUITY')) {
+      tags.push(line);
+    } else if (line.trim() && !line.startsWith('#')) {
+      segments.push({ tags, uri: line.trim() });
+      tags = [];
     }
-  });
+  }
+  return segments;
+}
 
-  socket.on('stop-stream', ({ userId, challengeNum }) => {
-    const streamKey = getStreamKey(userId, challengeNum);
-    console.log(`Stopping stream: ${streamKey}`);
+// Helper function to merge the segments of a session's rolling live playlist
+// into its complete vod.m3u8 (sessionPath can also be one of the session's
+// rendition subdirectories, see syncSessionPlaylists). The live playlist only lists the last few
+// segments, so this runs on every FFmpeg progress update to catch each one.
+// When ended is set, the VOD playlist is finalized with #EXT-X-ENDLIST.
+// Returns the number of segments in the VOD playlist, or null if it was not rewritten.
+function syncVodPlaylist(sessionPath, ended = false) {
+  const livePlaylist = path.join(sessionPath, 'playlist.m3u8');
+  const vodPlaylist = path.join(sessionPath, 'vod.m3u8');
 
-    const streamInfo = activeStreams.get(streamKey);
-    if (streamInfo && streamInfo.writeStream) {
-      streamInfo.writeStream.end();
+  try {
+    const liveExists = fs.existsSync(livePlaylist);
+    const vodExists = fs.existsSync(vodPlaylist);
+    if (!liveExists && !vodExists) {
+      return null;
+    }
+    // Nothing new since the last sync
+    if (!ended && vodExists && liveExists &&
+        fs.statSync(vodPlaylist).mtimeMs >= fs.statSync(livePlaylist).mtimeMs) {
+      return null;
+    }
+
+    const segments = vodExists ? parsePlaylistSegments(fs.readFileSync(vodPlaylist, 'utf8')) : [];
+    const known = new Set(segments.map((segment) => segment.uri));
+    if (liveExists) {
+      for (const segment of parsePlaylistSegments(fs.readFileSync(livePlaylist, 'utf8'))) {
+        if (!known.has(segment.uri)) {
+          segments.push(segment);
+          known.add(segment.uri);
+        }
+      }
     }
 
-    // Stop FFmpeg process if running
-    if (ffmpegProcesses.has(streamKey)) {
-      const ffmpegProcess = ffmpegProcesses.get(streamKey);
-      ffmpegProcess.kill('SIGTERM');
-      ffmpegProcesses.delete(streamKey);
+    const targetDuration = Math.max(1, ...segments.map((segment) => {
+      const extinf = segment.tags.find((tag) => tag.startsWith('#EXTINF:'));
+      return extinf ? Math.ceil(parseFloat(extinf.slice('#EXTINF:'.length))) : 0;
+    }));
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:3',
+      `#EXT-X-TARGETDURATION:${targetDuration}`,
+      '#EXT-X-MEDIA-SEQUENCE:0',
+      `#EXT-X-PLAYLIST-TYPE:${ended ? 'VOD' : 'EVENT'}`
+    ];
+    for (const segment of segments) {
+      lines.push(...segment.tags, segment.uri);
+    }
+    if (ended) {
+      lines.push('#EXT-X-ENDLIST');
     }
 
-    activeStreams.delete(streamKey);
-    socket.leave(streamKey);
-    socket.emit('stream-stopped');
+    // Write atomically so /watch never reads a half-written playlist
+    const tempPlaylist = `${vodPlaylist}.tmp`;
+    fs.writeFileSync(tempPlaylist, lines.join('\n') + '\n');
+    fs.renameSync(tempPlaylist, vodPlaylist);
+    return segments.length;
+  } catch (e) {
+    console.error(`Failed to update VOD playlist in ${sessionPath}:`, e.message);
+    return null;
+  }
+}
+
+// Helper function to parse an HLS_RENDITIONS ladder into { name, height,
+// videoBitrate } renditions, highest first. Heights without a bitrate get a
+// typical one for their size.
+function parseRenditionLadder(value) {
+  const defaultBitrates = { 2160: 14000, 1440: 8000, 1080: 5000, 720: 2800, 480: 1400, 360: 800, 240: 400 };
+  const renditions = value.split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+    const [height, bitrate] = entry.split(':').map(Number);
+    if (!Number.isInteger(height) || height < 144 || height > 2160 || height % 2 !== 0 ||
+        (bitrate !== undefined && !(bitrate > 0))) {
+      throw new Error(`Invalid HLS_RENDITIONS entry "${entry}" (expected <even height>[:<kbit/s>])`);
+    }
+    return {
+      name: `${height}p`,
+      height,
+      videoBitrate: Math.round(bitrate || defaultBitrates[height] || height * height / 220)
+    };
   });
+  if (renditions.length === 0) {
+    throw new Error('HLS_RENDITIONS must list at least one rendition');
+  }
+  return renditions.sort((a, b) => b.height - a.height)
+    .filter((rendition, index, all) => index === 0 || all[index - 1].height !== rendition.height);
+}
 
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
-    // Clean up any streams associated with this socket
-    for (const [streamKey, streamInfo] of activeStreams.entries()) {
-      if (streamInfo.socketId === socket.id) {
-        if (streamInfo.writeStream) {
-          streamInfo.writeStream.end();
-        }
-        const processKey = streamKey;
-        if (ffmpegProcesses.has(processKey)) {
-          const ffmpegProcess = ffmpegProcesses.get(processKey);
-          ffmpegProcess.kill('SIGTERM');
-          ffmpegProcesses.delete(processKey);
-        }
-        activeStreams.delete(streamKey);
+// Helper function to pick the renditions a live stream is transcoded to. When
+// LIVE_MAX_RENDITIONS caps the ladder, the highest rendition is kept for good
+// connections and the rest of the budget goes to the lowest ones.
+function getLiveRenditions() {
+  if (!LIVE_MAX_RENDITIONS || LIVE_MAX_RENDITIONS >= HLS_RENDITIONS.length) {
+    return HLS_RENDITIONS;
+  }
+  return [HLS_RENDITIONS[0], ...HLS_RENDITIONS.slice(HLS_RENDITIONS.length - LIVE_MAX_RENDITIONS + 1)];
+}
+
+// Helper function to list the renditions a session was transcoded to, each with
+// the directory holding its playlist.m3u8, vod.m3u8 and segments. The highest
+// rendition lives in the session directory itself, the others in a
+// subdirectory named after them. Sessions recorded before the ladder existed
+// have a single unnamed rendition.
+function getSessionRenditions(sessionPath) {
+  const { renditions } = readSessionMetadata(sessionPath);
+  if (!Array.isArray(renditions) || renditions.length === 0) {
+    return [{ name: null, dir: sessionPath }];
+  }
+  return renditions.map((rendition, index) => ({
+    ...rendition,
+    dir: index === 0 ? sessionPath : path.join(sessionPath, rendition.name)
+  }));
+}
+
+// Helper function to sync the VOD playlist of every rendition of a session.
+// Returns the result for the highest rendition (see syncVodPlaylist).
+function syncSessionPlaylists(sessionPath, ended = false) {
+  const results = getSessionRenditions(sessionPath).map((rendition) => syncVodPlaylist(rendition.dir, ended));
+  return results[0];
+}
+
+// Helper function to build an HLS master playlist listing renditions, highest
+// first. uriFor(rendition) gives the URL of each rendition's media playlist.
+function buildMasterPlaylist(renditions, uriFor) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  for (const rendition of renditions) {
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${(rendition.videoBitrate + RENDITION_AUDIO_BITRATE) * 1000}`);
+    lines.push(uriFor(rendition));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Helper function to escape a filter option value inside an FFmpeg filtergraph:
+// once for the filter's option parser, then once more for the graph parser
+function escapeFilterOption(value) {
+  return String(value).replace(/[\\':]/g, '\\$&').replace(/[\\'[\],;]/g, '\\$&');
+}
+
+// Helper function to build the drawtext filters that burn WATERMARK_TEMPLATE
+// into a recording's video, or [] when no template is set. segments lists the
+// sessions in the input, in order, as { session, startTime, offset }: offset
+// is where the session begins in the input (seconds), so each frame's
+// wall-clock time is its session's startTime plus its time into the session.
+// These must run before any filter that changes timestamps.
+function buildWatermarkFilters(userId, challengeNum, segments) {
+  if (!WATERMARK_TEMPLATE) {
+    return [];
+  }
+  const [x, y] = WATERMARK_POSITIONS[WATERMARK_POSITION];
+  // drawtext expands %{...} sequences; everything else is shown as-is
+  const literal = (value) => String(value).replace(/[\\%]/g, '\\$&');
+
+  return segments.map((segment, index) => {
+    const epoch = (segment.startTime / 1000 - segment.offset).toFixed(3);
+    const text = WATERMARK_TEMPLATE.split(/(\{[A-Za-z]+\})/).map((part) => {
+      switch (part) {
+        case '{userId}':
+          return literal(userId);
+        case '{challengeNum}':
+          return literal(challengeNum);
+        case '{session}':
+          return literal(segment.session);
+        case '{time}':
+          return `%{pts:gmtime:${epoch}:%Y-%m-%d %T} UTC`;
+        case '{elapsed}':
+          return '%{pts:hms}';
+        default:
+          return literal(part);
       }
+    }).join('');
+
+    const options = {
+      text,
+      [WATERMARK_FONT.includes('/') ? 'fontfile' : 'font']: WATERMARK_FONT,
+      fontsize: WATERMARK_FONT_SIZE,
+      fontcolor: 'white',
+      box: 1,
+      boxcolor: 'black@0.5',
+      boxborderw: 8,
+      x,
+      y
+    };
+    // With several sessions, each filter only draws over its own session
+    if (segments.length > 1) {
+      const next = segments[index + 1];
+      const from = segment.offset.toFixed(3);
+      options.enable = next ? `gte(t,${from})*lt(t,${next.offset.toFixed(3)})` : `gte(t,${from})`;
     }
+    return 'drawtext=' + Object.entries(options).map(([key, value]) => `${key}=${escapeFilterOption(value)}`).join(':');
   });
-});
+}
 
-// Endpoint to get stream page (for screen sharing)
-app.get('/stream/:userId/:challengeNum', (req, res) => {
-  const { userId, challengeNum } = req.params;
-  const streamKey = getStreamKey(userId, challengeNum);
-  
-  // Serve HTML page for screen sharing
-  const html = `
-<!DOCTYPE html>
-<html>
-<head>
-  <title>Stream - ${streamKey}</title>
-  <script src="${getProtocol(req)}://${req.get('host')}/socket.io/socket.io.js"></script>
-  <style>
-    body {
-      font-family: Arial, sans-serif;
-      max-width: 1200px;
-      margin: 0 auto;
-      padding: 20px;
-      background: #1a1a1a;
-      color: #fff;
+// Helper function to add one HLS output per rendition to an FFmpeg command.
+// The video goes through videoFilters once, then is split and scaled down to
+// each rendition's height (never up). Keyframes are forced at every segment
+// boundary so players can switch renditions between any two segments.
+// output(rendition, index) returns { playlist, segmentFilename } for each rendition.
+function addRenditionOutputs(command, renditions, { videoFilters = [], audio = true, audioFilters = [], encoderOptions = [], hlsOptions = [], output }) {
+  const splitLabels = renditions.map((rendition, index) => `[s${index}]`).join('');
+  const filters = [`[0:v]${[...videoFilters, `split=${renditions.length}`].join(',')}${splitLabels}`];
+  renditions.forEach((rendition, index) => {
+    filters.push(`[s${index}]scale=-2:trunc(min(${rendition.height}\\,ih)/2)*2[v${index}]`);
+  });
+  command.complexFilter(filters.join(';'));
+
+  renditions.forEach((rendition, index) => {
+    const { playlist, segmentFilename } = output(rendition, index);
+    const audioOptions = audio
+      ? ['-map', '0:a?', ...(audioFilters.length > 0 ? ['-filter:a', audioFilters.join(',')] : []), '-c:a', 'aac', '-b:a', `${RENDITION_AUDIO_BITRATE}k`]
+      : ['-an'];
+    command
+      .output(playlist)
+      .outputOptions([
+        '-map', `[v${index}]`,
+        ...audioOptions,
+        '-c:v', 'libx264',
+        ...encoderOptions,
+        '-maxrate', `${rendition.videoBitrate}k`,
+        '-bufsize', `${rendition.videoBitrate * 2}k`,
+        '-force_key_frames', 'expr:gte(t,n_forced*2)',
+        '-f', 'hls',
+        '-hls_time', '2',
+        ...hlsOptions,
+        '-hls_segment_filename', segmentFilename
+      ]);
+  });
+  return command;
+}
+
+// Helper function to get the public base URL of a recording's files
+function getRecordingBaseUrl(req, userId, challengeNum) {
+  return `${getProtocol(req)}://${req.get('host')}/recordings/${getStreamKey(userId, challengeNum)}/`;
+}
+
+// Helper function to map paths relative to a recording to their URLs in the
+// storage backend, for rewriting playlists. Viewers get the bucket for every
+// uploaded file; with preferLocal (FFmpeg reading on this server), only files
+// evicted from disk go to the bucket. Returns null without a storage backend.
+function getStoredUrlResolver(recordingPath, preferLocal = false) {
+  if (!storage) {
+    return null;
+  }
+  const storageIndex = readStorageIndex(recordingPath);
+  return (relPath) => {
+    const entry = storageIndex[relPath];
+    if (!entry || (preferLocal && !entry.evictedAt)) {
+      return null;
     }
-    .container {
-      background: #2a2a2a;
-      padding: 20px;
-      border-radius: 8px;
+    return storage.getUrl(getObjectKey(recordingPath, relPath));
+  };
+}
+
+// Helper function to send an HLS playlist response
+function sendPlaylist(res, playlistContent) {
+  res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.send(playlistContent);
+}
+
+// Helper function to list the named renditions found across sessions, highest first
+function getSessionsRenditions(sessions) {
+  const renditions = new Map();
+  for (const session of sessions) {
+    for (const rendition of getSessionRenditions(session.path)) {
+      if (rendition.name && !renditions.has(rendition.name)) {
+        renditions.set(rendition.name, rendition);
+      }
     }
-    button {
-      background: #4CAF50;
-      color: white;
-      border: none;
-      padding: 12px 24px;
-      font-size: 16px;
+  }
+  return [...renditions.values()].sort((a, b) => b.height - a.height);
+}
+
+// Helper function to point a session at one of its renditions for
+// buildSessionsPlaylist. Sessions without that rendition keep their highest.
+function selectSessionRendition(session, name) {
+  const renditions = getSessionRenditions(session.path);
+  const index = renditions.findIndex((rendition) => rendition.name === name);
+  if (index <= 0) {
+    return session;
+  }
+  return { ...session, path: renditions[index].dir, relPath: `${session.relPath}${renditions[index].name}/` };
+}
+
+// Helper function to get the absolute URL of one rendition's media playlist
+// for a master playlist: playlistUrl with rendition (and the watch token) added
+function getRenditionUrl(req, playlistUrl, rendition) {
+  const url = new URL(playlistUrl, `${getProtocol(req)}://${req.get('host')}`);
+  url.searchParams.set('rendition', rendition.name);
+  const token = WATCH_REQUIRE_TOKEN ? getRequestToken(req) : null;
+  if (token) {
+    url.searchParams.set('token', token);
+  }
+  return url.toString();
+}
+
+// Helper function to encode a buffer or string as base64url
+function toBase64Url(value) {
+  return Buffer.from(value).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Helper function to sign a token payload with the shared secret
+function signTokenPayload(encodedPayload) {
+  return toBase64Url(crypto.createHmac('sha256', STREAM_TOKEN_SECRET).update(encodedPayload).digest());
+}
+
+// Helper function to create a stream token bound to one userId/challenge.
+// Format: base64url(JSON { userId, challengeNum, exp }) + '.' + base64url(HMAC-SHA256)
+function createStreamToken(userId, challengeNum, expiresInSeconds = 12 * 60 * 60) {
+  const payload = {
+    userId: String(userId),
+    challengeNum: String(challengeNum),
+    exp: Math.floor(Date.now() / 1000) + expiresInSeconds
+  };
+  const encodedPayload = toBase64Url(JSON.stringify(payload));
+  return `${encodedPayload}.${signTokenPayload(encodedPayload)}`;
+}
+
+// Helper function to verify a stream token. Returns the payload, or throws
+// an error describing why the token was rejected.
+function verifyStreamToken(token) {
+  if (!STREAM_TOKEN_SECRET) {
+    throw new Error('Stream tokens are not configured on this server');
+  }
+  if (!token || typeof token !== 'string') {
+    throw new Error('Missing token');
+  }
+
+  const parts = token.split('.');
+  const [encodedPayload, signature] = parts;
+  if (parts.length !== 2 || !encodedPayload || !signature) {
+    throw new Error('Malformed token');
+  }
+
+  const expected = Buffer.from(signTokenPayload(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid token signature');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64').toString('utf8'));
+  } catch (e) {
+    throw new Error('Malformed token');
+  }
+  if (!payload.exp || payload.exp < Date.now() / 1000) {
+    throw new Error('Token expired');
+  }
+  return payload;
+}
+
+// Helper function to check that a verified token covers a userId/challenge
+function tokenMatches(payload, userId, challengeNum) {
+  return payload.userId === String(userId) && payload.challengeNum === String(challengeNum);
+}
+
+// Helper function to read a token from the query string or Authorization header
+function getRequestToken(req) {
+  if (typeof req.query.token === 'string') {
+    return req.query.token;
+  }
+  const authorization = req.get('authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return null;
+}
+
+// Helper function to get the query string that carries a watch token on to segment URLs
+function getTokenQuery(req) {
+  const token = WATCH_REQUIRE_TOKEN ? getRequestToken(req) : null;
+  return token ? `?token=${encodeURIComponent(token)}` : '';
+}
+
+// Middleware to require a token for the :userId/:challengeNum of a route
+function requireToken(req, res, next) {
+  const { userId, challengeNum } = req.params;
+  let payload;
+  try {
+    payload = verifyStreamToken(getRequestToken(req));
+  } catch (err) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: err.message,
+      userId,
+      challengeNum
+    });
+  }
+
+  if (!tokenMatches(payload, userId, challengeNum)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `Token is not valid for ${userId}/${challengeNum}`,
+      userId,
+      challengeNum
+    });
+  }
+  next();
+}
+
+// Middleware to require a token on watch endpoints when WATCH_REQUIRE_TOKEN is enabled
+function requireWatchToken(req, res, next) {
+  if (!WATCH_REQUIRE_TOKEN) {
+    return next();
+  }
+  requireToken(req, res, next);
+}
+
+// Middleware to protect files under /recordings when WATCH_REQUIRE_TOKEN is enabled.
+// The first path segment is the stream key, which must match the token.
+function requireRecordingToken(req, res, next) {
+  if (!WATCH_REQUIRE_TOKEN) {
+    return next();
+  }
+
+  let streamKey;
+  try {
+    streamKey = decodeURIComponent(req.path.split('/')[1] || '');
+  } catch (err) {
+    return res.status(400).json({ error: 'Invalid stream key', message: 'The recording path is not a valid URL' });
+  }
+  try {
+    const payload = verifyStreamToken(getRequestToken(req));
+    if (getStreamKey(payload.userId, payload.challengeNum) !== streamKey) {
+      return res.status(403).json({ error: 'Forbidden', message: `Token is not valid for ${streamKey}` });
+    }
+  } catch (err) {
+    return res.status(401).json({ error: 'Unauthorized', message: err.message });
+  }
+  next();
+}
+
+// Middleware to redirect requests for recording files that were evicted to the
+// storage backend (e.g. from playlists cached before the eviction) to the bucket
+function redirectToStorage(req, res, next) {
+  let relPath;
+  try {
+    relPath = decodeURIComponent(req.path).replace(/^\/+/, '');
+  } catch (e) {
+    return next();
+  }
+  const separator = relPath.indexOf('/');
+  if (!storage || separator <= 0 || relPath.split('/').includes('..')) {
+    return next();
+  }
+  const recordingPath = path.join(RECORDINGS_DIR, relPath.slice(0, separator));
+  const entry = readStorageIndex(recordingPath)[relPath.slice(separator + 1)];
+  if (!entry || !entry.evictedAt) {
+    return next();
+  }
+  res.redirect(storage.getUrl(getObjectKey(recordingPath, relPath.slice(separator + 1))));
+}
+
+// Helper function to claim a stream key for this node in cluster mode, unless
+// another node owns it. Resolves to the owner's node id.
+async function claimStreamKey(streamKey) {
+  if (!clusterClaims.has(streamKey)) {
+    const owner = await cluster.claim(streamKey);
+    if (owner !== cluster.nodeId) {
+      return owner;
+    }
+  }
+  clusterClaims.set(streamKey, Date.now());
+  return cluster.nodeId;
+}
+
+// Helper function to check whether this node may work on a recording: always
+// on a single node, in cluster mode only while it owns the stream key
+async function ownsStreamKey(streamKey) {
+  return !cluster || (await claimStreamKey(streamKey)) === cluster.nodeId;
+}
+
+// Helper function to find the owner of a stream key in cluster mode without
+// claiming it. Resolves to this node's id when nobody owns it.
+async function lookUpStreamKeyOwner(streamKey) {
+  if (clusterClaims.has(streamKey)) {
+    return cluster.nodeId;
+  }
+  return (await cluster.getOwner(streamKey)) || cluster.nodeId;
+}
+
+// Helper function to create a middleware that hands requests for a stream key
+// to the cluster node findOwner resolves to
+function createOwnerRouter(findOwner) {
+  return (req, res, next) => {
+    if (!cluster || req.get(CLUSTER_FORWARDED_HEADER)) {
+      return next();
+    }
+    const { userId, challengeNum } = req.params;
+    findOwner(getStreamKey(userId, challengeNum)).then(
+      (owner) => (owner === cluster.nodeId ? next() : proxyToNode(req, res, owner)),
+      (err) => {
+        console.error(`Cluster: failed to look up the owner of ${userId}/${challengeNum}:`, err.message);
+        res.status(503).json({
+          error: 'Cluster unavailable',
+          message: `Could not look up which node handles ${userId}/${challengeNum}`,
+          userId,
+          challengeNum
+        });
+      }
+    );
+  };
+}
+
+// Middleware to hand stream and watch requests (the stream page, playback,
+// timelapses, exports, ...) to the cluster node that owns the stream key,
+// claiming keys nobody owns for this node
+const routeToOwner = createOwnerRouter(claimStreamKey);
+
+// Middleware to hand admin requests for a recording to the node that owns its
+// stream key. Keys nobody owns are served here without claiming them.
+const routeToCurrentOwner = createOwnerRouter(lookUpStreamKeyOwner);
+
+// Helper function to proxy a request to another node of the cluster. JSON
+// bodies were already parsed by express.json, so they are sent re-serialized.
+function proxyToNode(req, res, nodeId) {
+  const { userId, challengeNum } = req.params;
+  const fail = (message) => {
+    console.error(`Cluster: could not proxy ${req.method} ${req.path} to node ${nodeId}: ${message}`);
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(502).json({
+      error: 'Owner node unavailable',
+      message: `${userId}/${challengeNum} is handled by node ${nodeId}, which could not be reached`,
+      userId,
+      challengeNum
+    });
+  };
+
+  cluster.getNodeUrl(nodeId).then((nodeUrl) => {
+    if (!nodeUrl) {
+      return fail('node is not registered');
+    }
+    const body = req.body && Object.keys(req.body).length > 0 ? JSON.stringify(req.body) : null;
+    const headers = { ...req.headers, 'x-forwarded-proto': getProtocol(req), [CLUSTER_FORWARDED_HEADER]: cluster.nodeId };
+    delete headers.connection;
+    delete headers['content-length'];
+    delete headers['transfer-encoding'];
+    if (body) {
+      headers['content-type'] = 'application/json';
+      headers['content-length'] = Buffer.byteLength(body);
+    }
+    const proxyReq = http.request(new URL(req.originalUrl, nodeUrl), { method: req.method, headers }, (proxyRes) => {
+      res.writeHead(proxyRes.statusCode, proxyRes.headers);
+      proxyRes.pipe(res);
+    });
+    proxyReq.on('error', (err) => fail(err.message));
+    res.on('close', () => proxyReq.destroy());
+    proxyReq.end(body);
+  }, (err) => fail(err.message));
+}
+
+// Helper function to parse and validate timelapse options from a request query.
+// Accepts either a speed factor or a target output duration (in seconds),
+// an optional max output height, audio=false to drop audio, an x264 preset,
+// and idle=cut|compress to drop or squeeze static stretches of the recording.
+function parseTimelapseOptions(query) {
+  const options = { ...TIMELAPSE_DEFAULTS };
+
+  if (query.speed !== undefined && query.duration !== undefined) {
+    throw new Error('Specify either speed or duration, not both');
+  }
+  if (query.speed !== undefined) {
+    const speed = Number(query.speed);
+    if (!Number.isFinite(speed) || speed < 1 || speed > TIMELAPSE_MAX_SPEED) {
+      throw new Error(`speed must be a number between 1 and ${TIMELAPSE_MAX_SPEED}`);
+    }
+    options.speed = speed;
+  }
+  if (query.duration !== undefined) {
+    const duration = Number(query.duration);
+    if (!Number.isInteger(duration) || duration < 1) {
+      throw new Error('duration must be a whole number of seconds');
+    }
+    options.speed = null;
+    options.duration = duration;
+  }
+  if (query.maxHeight !== undefined) {
+    const maxHeight = Number(query.maxHeight);
+    if (!Number.isInteger(maxHeight) || maxHeight < 144 || maxHeight > 2160 || maxHeight % 2 !== 0) {
+      throw new Error('maxHeight must be an even number of pixels between 144 and 2160');
+    }
+    options.maxHeight = maxHeight;
+  }
+  if (query.audio !== undefined) {
+    if (!['true', 'false', '1', '0'].includes(query.audio)) {
+      throw new Error('audio must be true or false');
+    }
+    options.audio = query.audio === 'true' || query.audio === '1';
+  }
+  if (query.preset !== undefined) {
+    if (!X264_PRESETS.includes(query.preset)) {
+      throw new Error(`preset must be one of: ${X264_PRESETS.join(', ')}`);
+    }
+    options.preset = query.preset;
+  }
+  if (query.idle !== undefined) {
+    if (!['cut', 'compress'].includes(query.idle)) {
+      throw new Error('idle must be cut or compress');
+    }
+    options.idle = query.idle;
+  }
+  return options;
+}
+
+// Helper function to get the file name prefix a timelapse variant is cached under.
+// The default variant keeps the original timelapse.m3u8 name.
+function getTimelapseVariantName(options) {
+  const parts = [];
+  if (options.duration) {
+    parts.push(`d${options.duration}`);
+  } else if (options.speed !== TIMELAPSE_DEFAULTS.speed) {
+    parts.push(`s${String(options.speed).replace('.', 'p')}`);
+  }
+  if (options.maxHeight) {
+    parts.push(`h${options.maxHeight}`);
+  }
+  if (!options.audio) {
+    parts.push('noaudio');
+  }
+  if (options.preset !== TIMELAPSE_DEFAULTS.preset) {
+    parts.push(options.preset);
+  }
+  if (options.idle) {
+    parts.push(`idle${options.idle}`);
+  }
+  return parts.length > 0 ? `timelapse_${parts.join('_')}` : 'timelapse';
+}
+
+// Helper function to build an atempo filter chain for a speed factor
+// (each atempo stage only goes up to 2.0x)
+function buildAtempoChain(speed) {
+  const stages = [];
+  let remaining = speed;
+  while (remaining > 2.0) {
+    stages.push('atempo=2.0');
+    remaining /= 2.0;
+  }
+  stages.push(`atempo=${remaining.toFixed(4)}`);
+  return stages.join(',');
+}
+
+// Helper function to get the wall-clock start and end (ms since epoch) of a session:
+// from session.json when it was written at start-stream, otherwise from the
+// input file's creation time; the end is the input file's last write (kept in
+// session.json once the input has been pruned, and in the storage index once evicted)
+function getSessionTimes(session) {
+  const metadata = readSessionMetadata(session.path);
+  if (session.pruned) {
+    return { startTime: metadata.startTime, endTime: metadata.endTime };
+  }
+  if (session.storedInput) {
+    const startTime = metadata.startTime || session.storedInput.mtimeMs;
+    return { startTime, endTime: Math.max(session.storedInput.mtimeMs, startTime) };
+  }
+  const stats = fs.statSync(session.inputFile);
+  const startTime = metadata.startTime || stats.birthtimeMs || stats.ctimeMs;
+  return { startTime, endTime: Math.max(stats.mtimeMs, startTime) };
+}
+
+// Helper function to get when the most recent session of a recording last received data
+function getLatestInputTime(sessions) {
+  return Math.max(...sessions.map((session) => getSessionTimes(session).endTime));
+}
+
+// Helper function to refuse work that needs the raw input of every session
+function getPrunedInputError(sessions) {
+  return sessions.some((session) => session.pruned)
+    ? new Error('Raw input has been removed by the retention policy')
+    : null;
+}
+
+// Helper function to get the total duration (in seconds) of a recording's sessions,
+// and each session's duration in the same order. MediaRecorder WebM files often
+// carry no duration, so fall back to the session's wall-clock time.
+function probeSessionsDuration(sessions, callback) {
+  let total = 0;
+  let pending = sessions.length;
+  let failed = false;
+  const durations = [];
+
+  sessions.forEach((session, index) => {
+    ffmpeg.ffprobe(session.inputFile, (err, metadata) => {
+      if (failed) {
+        return;
+      }
+      let duration = !err && metadata && metadata.format ? Number(metadata.format.duration) : NaN;
+      if (!Number.isFinite(duration) || duration <= 0) {
+        try {
+          const { startTime, endTime } = getSessionTimes(session);
+          duration = (endTime - startTime) / 1000;
+        } catch (e) {
+          failed = true;
+          return callback(e);
+        }
+      }
+      durations[index] = Math.max(duration, 0);
+      total += durations[index];
+      if (--pending === 0) {
+        callback(null, total, durations);
+      }
+    });
+  });
+}
+
+// Helper function to check whether a recording's activity timeline covers every session
+function isActivityFresh(userId, challengeNum) {
+  const sessions = getSessions(userId, challengeNum);
+  const activityFile = path.join(getRecordingPath(userId, challengeNum), 'activity.json');
+  if (sessions.length === 0 || !fs.existsSync(activityFile)) {
+    return false;
+  }
+  return fs.statSync(activityFile).mtimeMs >= getLatestInputTime(sessions);
+}
+
+// Helper function to read a recording's activity timeline, or null if there is none
+function readActivity(userId, challengeNum) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(getRecordingPath(userId, challengeNum), 'activity.json'), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Helper function to build the activity timeline from FFmpeg freezedetect spans:
+// everything that isn't a freeze counts as active
+function buildActivityTimeline(freezes, duration) {
+  const idle = freezes
+    .map((freeze) => ({ start: freeze.start, end: freeze.end === null ? duration : freeze.end }))
+    .filter((span) => span.end > span.start);
+  const active = [];
+  let cursor = 0;
+  for (const span of idle) {
+    if (span.start > cursor) {
+      active.push({ start: cursor, end: span.start });
+    }
+    cursor = Math.max(cursor, span.end);
+  }
+  if (cursor < duration) {
+    active.push({ start: cursor, end: duration });
+  }
+
+  const round = (value) => Math.round(value * 100) / 100;
+  const idleSeconds = idle.reduce((total, span) => total + (span.end - span.start), 0);
+  return {
+    duration: round(duration),
+    activeSeconds: round(duration - idleSeconds),
+    idleSeconds: round(idleSeconds),
+    activeMinutes: round((duration - idleSeconds) / 60),
+    idleThreshold: IDLE_MIN_DURATION,
+    idle: idle.map((span) => ({ start: round(span.start), end: round(span.end) })),
+    active: active.map((span) => ({ start: round(span.start), end: round(span.end) })),
+    generatedAt: new Date().toISOString()
+  };
+}
+
+// Helper function to run a thumbnail or activity pass (task, which calls done()
+// once its FFmpeg process has finished) as soon as fewer than
+// ANALYSIS_CONCURRENCY are running
+function queueAnalysisTask(task) {
+  analysisQueue.push(task);
+  processAnalysisQueue();
+}
+
+// Helper function to start queued analysis passes while below the concurrency limit
+function processAnalysisQueue() {
+  while (!shuttingDown && analysisQueue.length > 0 && runningAnalysisTasks < ANALYSIS_CONCURRENCY) {
+    const task = analysisQueue.shift();
+    let finished = false;
+    runningAnalysisTasks++;
+    task(() => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      runningAnalysisTasks--;
+      processAnalysisQueue();
+    });
+  }
+}
+
+// Helper function to detect idle (static screen) stretches across all sessions
+// of a recording with FFmpeg's freezedetect filter, storing the result as
+// activity.json. Callers arriving while an analysis runs wait for its result.
+function analyzeActivity(userId, challengeNum, callback = () => {}) {
+  const streamKey = getStreamKey(userId, challengeNum);
+  const sessions = getSessions(userId, challengeNum);
+  const processKey = `${streamKey}/activity`;
+
+  if (sessions.length === 0) {
+    return callback(new Error('Input file not found'));
+  }
+  if (isActivityFresh(userId, challengeNum)) {
+    return callback(null, readActivity(userId, challengeNum));
+  }
+  if (getPrunedInputError(sessions)) {
+    return callback(getPrunedInputError(sessions));
+  }
+  if (activityWaiters.has(processKey)) {
+    activityWaiters.get(processKey).push(callback);
+    return;
+  }
+  activityWaiters.set(processKey, [callback]);
+  timelapseProcesses.set(processKey, null);
+
+  let releaseSlot = () => {};
+  const finish = (err, activity) => {
+    releaseSlot();
+    timelapseProcesses.delete(processKey);
+    const waiters = activityWaiters.get(processKey) || [];
+    activityWaiters.delete(processKey);
+    waiters.forEach((waiter) => waiter(err, activity));
+  };
+
+  queueAnalysisTask((done) => {
+    releaseSlot = done;
+    probeSessionsDuration(sessions, (err, duration) => {
+      if (err) {
+        return finish(err);
+      }
+
+      console.log(`Analyzing activity for ${streamKey}...`);
+      const freezes = [];
+
+      // Low frame rate and resolution are plenty to spot a frozen screen
+      const command = createSessionsCommand(userId, challengeNum, sessions)
+        .noAudio()
+        .videoFilters([
+          'fps=2',
+          'scale=320:-2',
+          `freezedetect=n=${IDLE_NOISE}:d=${IDLE_MIN_DURATION}`
+        ])
+        .outputOptions(['-f', 'null'])
+        .output('-')
+        .on('stderr', (line) => {
+          const match = line.match(/lavfi\.freezedetect\.freeze_(start|end): ([\d.]+)/);
+          if (!match) {
+            return;
+          }
+          if (match[1] === 'start') {
+            freezes.push({ start: parseFloat(match[2]), end: null });
+          } else if (freezes.length > 0) {
+            freezes[freezes.length - 1].end = parseFloat(match[2]);
+          }
+        })
+        .on('end', () => {
+          const activity = buildActivityTimeline(freezes, duration);
+          try {
+            fs.writeFileSync(path.join(getRecordingPath(userId, challengeNum), 'activity.json'), JSON.stringify(activity, null, 2));
+          } catch (err) {
+            console.error(`Activity of ${streamKey} could not be saved:`, err.message);
+            return finish(err);
+          }
+          console.log(`Activity analysis completed for ${streamKey}: ${activity.activeMinutes} active minute(s)`);
+          finish(null, activity);
+        })
+        .on('error', (err) => {
+          console.error(`Activity FFmpeg error for ${streamKey}:`, err.message);
+          finish(err);
+        });
+
+      timelapseProcesses.set(processKey, command);
+      command.run();
+    });
+  });
+}
+
+// Helper function to build an FFmpeg expression that is non-zero while t is
+// inside one of the idle spans
+function buildIdleExpression(idleSpans) {
+  return idleSpans.map((span) => `between(t,${span.start},${span.end})`).join('+');
+}
+
+// Helper function to resolve the speed factor of a timelapse: either given
+// directly, or derived from the recording length and the target duration.
+// Also passes on the recording length so progress can be reported. With an
+// activity timeline, the length is what remains after cutting or compressing
+// idle spans.
+function resolveTimelapseSpeed(sessions, options, activity, callback) {
+  probeSessionsDuration(sessions, (err, probedDuration, sessionDurations) => {
+    if (err) {
+      return callback(err);
+    }
+    let inputDuration = probedDuration;
+    if (activity && options.idle === 'cut') {
+      inputDuration = activity.activeSeconds;
+    } else if (activity && options.idle === 'compress') {
+      inputDuration = activity.activeSeconds + activity.idleSeconds / IDLE_COMPRESSION;
+    }
+    if (!options.duration) {
+      return callback(null, options.speed, inputDuration, sessionDurations);
+    }
+    // Never slow the recording down, and stay within the supported range
+    const speed = Math.min(Math.max(inputDuration / options.duration, 1), TIMELAPSE_MAX_SPEED);
+    callback(null, speed, inputDuration, sessionDurations);
+  });
+}
+
+// Helper function to parse an FFmpeg timemark (HH:MM:SS.ms) into seconds
+function parseTimemark(timemark) {
+  if (!timemark) {
+    return 0;
+  }
+  return timemark.split(':').reduce((total, part) => total * 60 + (parseFloat(part) || 0), 0);
+}
+
+// Helper function to check whether a cached timelapse variant covers every session
+function isTimelapseFresh(userId, challengeNum, options) {
+  const sessions = getSessions(userId, challengeNum);
+  const timelapsePlaylist = path.join(getRecordingPath(userId, challengeNum), `${getTimelapseVariantName(options)}.m3u8`);
+  if (sessions.length === 0 || !fs.existsSync(timelapsePlaylist)) {
+    return false;
+  }
+  return fs.statSync(timelapsePlaylist).mtimeMs >= getLatestInputTime(sessions);
+}
+
+// Helper function to get the renditions of a timelapse variant. maxHeight
+// replaces the part of the ladder above it with a single rendition at maxHeight.
+function getTimelapseRenditions(options) {
+  if (!options.maxHeight || options.maxHeight >= HLS_RENDITIONS[0].height) {
+    return HLS_RENDITIONS;
+  }
+  const lower = HLS_RENDITIONS.filter((rendition) => rendition.height < options.maxHeight);
+  return [...parseRenditionLadder(String(options.maxHeight)), ...lower];
+}
+
+// Helper function to get the playlist and segment file names of a timelapse
+// rendition. The highest one uses the variant's own names (so timelapse.m3u8
+// stays the full-quality playlist), the others add the rendition name.
+function getTimelapseRenditionFiles(variantName, rendition, index) {
+  const base = index === 0 ? variantName : `${variantName}.${rendition.name}`;
+  return { playlist: `${base}.m3u8`, segmentFilename: `${base}_segment_%03d.ts` };
+}
+
+// Helper function to list the renditions a cached timelapse variant was made
+// in, from its .renditions.json. Variants from before the ladder existed have
+// a single unnamed rendition.
+function readTimelapseRenditions(recordingPath, variantName) {
+  try {
+    const renditions = JSON.parse(fs.readFileSync(path.join(recordingPath, `${variantName}.renditions.json`), 'utf8'));
+    if (Array.isArray(renditions) && renditions.length > 0) {
+      return renditions;
+    }
+  } catch (e) {
+    // No rendition list, fall through
+  }
+  return [{ name: null }];
+}
+
+// Helper function to delete the playlists, segments and rendition list of a
+// timelapse variant, here and in the storage backend
+function removeTimelapseVariant(recordingPath, variantName) {
+  if (!fs.existsSync(recordingPath)) {
+    return 0;
+  }
+  const isVariantFile = (entry) => entry.startsWith(`${variantName}.`) || (entry.startsWith(`${variantName}_segment_`) && entry.endsWith('.ts'));
+  let removed = 0;
+  for (const entry of fs.readdirSync(recordingPath)) {
+    if (isVariantFile(entry)) {
+      fs.unlinkSync(path.join(recordingPath, entry));
+      removed++;
+    }
+  }
+  deleteStoredFiles(recordingPath, isVariantFile);
+  return removed;
+}
+
+// Helper function to generate a timelapse variant (60x speed by default).
+// Each variant is cached as its own playlist next to timelapse.m3u8.
+// onProgress, if given, is called with { percent, eta } while FFmpeg runs.
+function generateTimelapse(userId, challengeNum, options, callback, onProgress) {
+  const streamKey = getStreamKey(userId, challengeNum);
+  const recordingPath = getRecordingPath(userId, challengeNum);
+  const sessions = getSessions(userId, challengeNum);
+  const variantName = getTimelapseVariantName(options);
+  const processKey = `${streamKey}/${variantName}`;
+  const timelapsePlaylist = path.join(recordingPath, `${variantName}.m3u8`);
+
+  // Check if any session has been recorded
+  if (sessions.length === 0) {
+    return callback(new Error('Input file not found'));
+  }
+
+  // Check if timelapse already exists and is newer than every session input
+  if (isTimelapseFresh(userId, challengeNum, options)) {
+    return callback(null, timelapsePlaylist);
+  }
+
+  // New variants are made from the raw input, which may have been pruned
+  if (getPrunedInputError(sessions)) {
+    return fail(getPrunedInputError(sessions));
+  }
+
+  // Check if timelapse is already being generated
+  if (timelapseProcesses.has(processKey)) {
+    return callback(new Error('Timelapse generation already in progress'));
+  }
+
+  // Idle-aware variants need the activity timeline first
+  const prepareActivity = options.idle
+    ? (next) => analyzeActivity(userId, challengeNum, next)
+    : (next) => next(null, null);
+
+  prepareActivity((err, activity) => {
+    if (err) {
+      return fail(err);
+    }
+    resolveTimelapseSpeed(sessions, options, activity, (err, speed, inputDuration, sessionDurations) => {
+      if (err) {
+        return fail(err);
+      }
+      runTimelapse(speed, inputDuration, activity, sessionDurations);
+    });
+  });
+
+  function fail(err) {
+    if (shuttingDown) {
+      return callback(err);
+    }
+    metrics.timelapseFailures++;
+    sendWebhook('timelapse.failed', {
+      userId,
+      challengeNum,
+      variant: variantName,
+      error: err.message,
+      urls: getPlaybackUrls(userId, challengeNum)
+    });
+    callback(err);
+  }
+
+  function runTimelapse(speed, inputDuration, activity, sessionDurations) {
+    // Check again, another request may have started this variant while probing
+    if (timelapseProcesses.has(processKey)) {
+      return callback(new Error('Timelapse generation already in progress'));
+    }
+
+    console.log(`Generating timelapse ${variantName} for ${streamKey} at ${speed.toFixed(2)}x...`);
+    const expectedDuration = inputDuration / speed;
+    const startedAt = Date.now();
+
+    // Speed up video with the setpts filter
+    const videoFilters = [`setpts=PTS/${speed.toFixed(4)}`];
+    const audioFilters = [buildAtempoChain(speed)];
+
+    // Cut idle spans, or keep only every IDLE_COMPRESSION-th frame of them.
+    // Frames are renumbered at a constant rate so the removed spans close up.
+    if (activity && activity.idle.length > 0) {
+      const idle = `(${buildIdleExpression(activity.idle)})`;
+      const keep = options.idle === 'cut'
+        ? `not${idle}`
+        : `not${idle}+${idle}*not(mod(n,${IDLE_COMPRESSION}))`;
+      videoFilters.splice(0, 1, 'fps=30', `select='${keep}'`, `setpts=N/(30*TB*${speed.toFixed(4)})`);
+      audioFilters.unshift(`aselect='${keep}'`, 'asetpts=N/SR/TB');
+    }
+
+    // Burn in the watermark first, while frames still carry their original timestamps
+    let offset = 0;
+    const watermarkSegments = sessions.map((session, index) => {
+      const segment = { session: session.number, startTime: getSessionTimes(session).startTime, offset };
+      offset += sessionDurations[index];
+      return segment;
+    });
+    videoFilters.unshift(...buildWatermarkFilters(userId, challengeNum, watermarkSegments));
+
+    // One output per rendition of the ladder, capped at maxHeight. A stale copy
+    // of this variant may have been made with a different ladder, so clear it.
+    removeTimelapseVariant(recordingPath, variantName);
+    const renditions = getTimelapseRenditions(options);
+    const ffmpegProcess = addRenditionOutputs(createSessionsCommand(userId, challengeNum, sessions), renditions, {
+      videoFilters,
+      audio: options.audio,
+      audioFilters,
+      encoderOptions: ['-preset', options.preset],
+      hlsOptions: ['-hls_list_size', '0', '-hls_flags', 'delete_segments', '-hls_playlist_type', 'vod'],
+      output: (rendition, index) => {
+        const files = getTimelapseRenditionFiles(variantName, rendition, index);
+        return {
+          playlist: path.join(recordingPath, files.playlist),
+          segmentFilename: path.join(recordingPath, files.segmentFilename)
+        };
+      }
+    });
+
+    ffmpegProcess
+      .on('start', (commandLine) => {
+        console.log(`Timelapse FFmpeg started for ${streamKey} (${variantName})`);
+      })
+      .on('progress', (progress) => {
+        // FFmpeg's own percent is unreliable for MediaRecorder WebM (no duration
+        // header), so measure the output timemark against the expected length
+        const percent = expectedDuration > 0
+          ? Math.min(99, (parseTimemark(progress.timemark) / expectedDuration) * 100)
+          : 0;
+        const elapsed = (Date.now() - startedAt) / 1000;
+        const eta = percent > 0 ? Math.round((elapsed / percent) * (100 - percent)) : null;
+        console.log(`Timelapse progress for ${streamKey} (${variantName}): ${percent.toFixed(1)}%`);
+        if (onProgress) {
+          onProgress({ percent, eta });
+        }
+      })
+      .on('end', () => {
+        console.log(`Timelapse generation completed for ${streamKey} (${variantName})`);
+        timelapseProcesses.delete(processKey);
+        observeTimelapseDuration((Date.now() - startedAt) / 1000);
+        try {
+          fs.writeFileSync(path.join(recordingPath, `${variantName}.renditions.json`), JSON.stringify(renditions));
+        } catch (err) {
+          // Without it the variant can't be served: fail the job so its slot is freed
+          console.error(`Timelapse ${variantName} of ${streamKey} could not be saved:`, err.message);
+          removeTimelapseVariant(recordingPath, variantName);
+          return fail(err);
+        }
+        // Point the links at this variant rather than the default timelapse
+        const urls = getPlaybackUrls(userId, challengeNum);
+        const timelapseUrl = getTimelapseUrl(userId, challengeNum, options);
+        const query = timelapseUrl.split('?')[1];
+        urls.timelapse = `${PUBLIC_URL}${timelapseUrl}`;
+        urls.download += `?variant=timelapse${query ? `&${query}` : ''}`;
+        emitViewerUpdate(userId, challengeNum, 'timelapse-ready', { variant: variantName, timelapseUrl });
+        sealRecording(userId, challengeNum);
+        sendWebhook('timelapse.completed', {
+          userId,
+          challengeNum,
+          variant: variantName,
+          speed,
+          duration: Math.round(expectedDuration),
+          recordingDuration: Math.round(inputDuration),
+          processingTime: Math.round((Date.now() - startedAt) / 1000),
+          urls
+        });
+        callback(null, timelapsePlaylist);
+      })
+      .on('error', (err) => {
+        console.error(`Timelapse FFmpeg error for ${streamKey} (${variantName}):`, err.message);
+        timelapseProcesses.delete(processKey);
+        // A partial playlist would otherwise look like a fresh, cached timelapse
+        removeTimelapseVariant(recordingPath, variantName);
+        fail(err);
+      });
+
+    timelapseProcesses.set(processKey, ffmpegProcess);
+    ffmpegProcess.run();
+  }
+}
+
+// Helper function to get the file name (without extension) an MP4 export is cached under
+function getDownloadName(variant, options) {
+  return variant === 'timelapse' ? `download_${getTimelapseVariantName(options)}` : 'download_full';
+}
+
+// Helper function to check whether a cached MP4 export is newer than what it was made from
+function isDownloadFresh(userId, challengeNum, variant, options) {
+  const recordingPath = getRecordingPath(userId, challengeNum);
+  const downloadFile = path.join(recordingPath, `${getDownloadName(variant, options)}.mp4`);
+  if (!fs.existsSync(downloadFile)) {
+    return false;
+  }
+  const sourceTimes = getSessions(userId, challengeNum).map((session) => getSessionTimes(session).endTime);
+  if (variant === 'timelapse') {
+    const timelapsePlaylist = path.join(recordingPath, `${getTimelapseVariantName(options)}.m3u8`);
+    if (!fs.existsSync(timelapsePlaylist)) {
+      return false;
+    }
+    sourceTimes.push(fs.statSync(timelapsePlaylist).mtimeMs);
+  }
+  const exportedAt = fs.statSync(downloadFile).mtimeMs;
+  return sourceTimes.every((time) => time <= exportedAt);
+}
+
+// Helper function to export a recording (or one of its timelapse variants) as a
+// single faststart MP4. Existing HLS segments are remuxed when every session has
+// a finished VOD playlist; older recordings are transcoded from their inputs.
+// Uses the timelapse process guard so the same export never runs twice at once.
+function exportMp4(userId, challengeNum, variant, options, callback) {
+  const streamKey = getStreamKey(userId, challengeNum);
+  const recordingPath = getRecordingPath(userId, challengeNum);
+  const sessions = getSessions(userId, challengeNum);
+  const downloadName = getDownloadName(variant, options);
+  const processKey = `${streamKey}/${downloadName}`;
+  const downloadFile = path.join(recordingPath, `${downloadName}.mp4`);
+  // Written under a temporary name so a partial export never looks cached
+  const tempFile = path.join(recordingPath, `${downloadName}.tmp.mp4`);
+
+  if (sessions.length === 0) {
+    return callback(new Error('Input file not found'));
+  }
+  if (isDownloadFresh(userId, challengeNum, variant, options)) {
+    return callback(null, downloadFile);
+  }
+  if (timelapseProcesses.has(processKey)) {
+    return callback(new Error('Export already in progress'));
+  }
+
+  // Segments evicted to the storage backend are read from the bucket
+  const storedUrl = getStoredUrlResolver(recordingPath, true);
+  const sourcePlaylist = path.join(recordingPath, `${downloadName}.m3u8`);
+  let command;
+  if (variant === 'timelapse') {
+    // Remux the cached timelapse segments through a playlist of absolute paths
+    const timelapsePlaylist = fs.readFileSync(path.join(recordingPath, `${getTimelapseVariantName(options)}.m3u8`), 'utf8');
+    fs.writeFileSync(sourcePlaylist, rewritePlaylistUrls(timelapsePlaylist, recordingPath + path.sep, '', storedUrl));
+    command = ffmpeg(sourcePlaylist)
+      .inputOptions(['-protocol_whitelist', STORAGE_PROTOCOLS])
+      .outputOptions(['-c', 'copy', '-bsf:a', 'aac_adtstoasc']);
+  } else if (sessions.every((session) => fs.existsSync(path.join(session.path, 'vod.m3u8')))) {
+    // Remux every session's segments through one playlist of absolute file paths
+    fs.writeFileSync(sourcePlaylist, buildSessionsPlaylist(sessions, ['vod.m3u8'], recordingPath + path.sep, '', storedUrl));
+    command = ffmpeg(sourcePlaylist)
+      .inputOptions(['-protocol_whitelist', STORAGE_PROTOCOLS])
+      .outputOptions(['-c', 'copy', '-bsf:a', 'aac_adtstoasc']);
+  } else {
+    // Transcode sessions recorded before VOD playlists existed
+    command = createSessionsCommand(userId, challengeNum, sessions)
+      .outputOptions(['-c:v', 'libx264', '-preset', 'veryfast', '-c:a', 'aac']);
+  }
+
+  console.log(`Exporting ${downloadName}.mp4 for ${streamKey}...`);
+
+  command
+    .outputOptions(['-movflags', '+faststart', '-f', 'mp4'])
+    .output(tempFile)
+    .on('end', () => {
+      timelapseProcesses.delete(processKey);
+      try {
+        fs.renameSync(tempFile, downloadFile);
+      } catch (err) {
+        // E.g. the disk filled up or the recording was deleted meanwhile
+        console.error(`Export of ${streamKey} (${downloadName}) could not be saved:`, err.message);
+        fs.rmSync(tempFile, { force: true });
+        return callback(err);
+      }
+      console.log(`Export completed for ${streamKey} (${downloadName})`);
+      callback(null, downloadFile);
+    })
+    .on('error', (err) => {
+      console.error(`Export FFmpeg error for ${streamKey} (${downloadName}):`, err.message);
+      timelapseProcesses.delete(processKey);
+      fs.rmSync(tempFile, { force: true });
+      callback(err);
+    });
+
+  timelapseProcesses.set(processKey, command);
+  command.run();
+}
+
+// Helper function to format seconds as a WebVTT timestamp (HH:MM:SS.mmm)
+function formatVttTime(seconds) {
+  const totalMs = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = Math.floor(totalMs / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(totalMs % 1000, 3)}`;
+}
+
+// Helper function to generate the poster image, contact sheet and scrub-preview
+// thumbnails of a recording in one FFmpeg pass over all its sessions.
+// Everything lands in <recording>/thumbnails/, swapped in once complete.
+function generateThumbnails(userId, challengeNum, callback = () => {}) {
+  const streamKey = getStreamKey(userId, challengeNum);
+  const recordingPath = getRecordingPath(userId, challengeNum);
+  const sessions = getSessions(userId, challengeNum);
+  const processKey = `${streamKey}/thumbnails`;
+  const thumbnailsPath = path.join(recordingPath, 'thumbnails');
+  const tempPath = path.join(recordingPath, 'thumbnails.tmp');
+
+  if (sessions.length === 0) {
+    return callback(new Error('Input file not found'));
+  }
+  if (getPrunedInputError(sessions)) {
+    return callback(getPrunedInputError(sessions));
+  }
+  if (timelapseProcesses.has(processKey)) {
+    return callback(new Error('Thumbnail generation already in progress'));
+  }
+  // Reserve the slot while waiting and probing so a second trigger (e.g. the
+  // periodic refresh) doesn't queue another pass
+  timelapseProcesses.set(processKey, null);
+
+  queueAnalysisTask((done) => {
+    const finish = (err, result) => {
+      done();
+      callback(err, result);
+    };
+    probeSessionsDuration(sessions, (err, duration) => {
+      if (err || !(duration > 0)) {
+        timelapseProcesses.delete(processKey);
+        return finish(err || new Error('Recording is empty'));
+      }
+
+      // Aim for at most ~200 scrub thumbnails, no closer than every 10 seconds
+      const interval = Math.max(THUMBNAIL_MIN_INTERVAL, Math.ceil(duration / 200));
+      const sheetFrames = CONTACT_SHEET_COLUMNS * CONTACT_SHEET_ROWS;
+
+      try {
+        fs.rmSync(tempPath, { recursive: true, force: true });
+        fs.mkdirSync(tempPath, { recursive: true });
+      } catch (err) {
+        timelapseProcesses.delete(processKey);
+        return finish(err);
+      }
+
+      console.log(`Generating thumbnails for ${streamKey}...`);
+
+      const command = createSessionsCommand(userId, challengeNum, sessions)
+        .complexFilter([
+          '[0:v]split=3[scrubsrc][sheetsrc][postersrc]',
+          `[scrubsrc]fps=1/${interval},scale=${THUMBNAIL_WIDTH}:-2[scrub]`,
+          `[sheetsrc]fps=${sheetFrames}/${duration.toFixed(3)},scale=320:-2,tile=${CONTACT_SHEET_COLUMNS}x${CONTACT_SHEET_ROWS}[sheet]`,
+          `[postersrc]trim=start=${(duration / 2).toFixed(3)},setpts=PTS-STARTPTS,scale=1280:-2[poster]`
+        ])
+        .output(path.join(tempPath, 'thumb_%04d.jpg'))
+        .outputOptions(['-map', '[scrub]', '-q:v', '5'])
+        .output(path.join(tempPath, 'contact-sheet.jpg'))
+        .outputOptions(['-map', '[sheet]', '-frames:v', '1', '-q:v', '3'])
+        .output(path.join(tempPath, 'poster.jpg'))
+        .outputOptions(['-map', '[poster]', '-frames:v', '1', '-q:v', '3'])
+        .on('end', () => {
+          timelapseProcesses.delete(processKey);
+          let count;
+          try {
+            count = fs.readdirSync(tempPath).filter((entry) => entry.startsWith('thumb_')).length;
+            fs.writeFileSync(path.join(tempPath, 'thumbnails.json'), JSON.stringify({ interval, count, duration }));
+            fs.rmSync(thumbnailsPath, { recursive: true, force: true });
+            fs.renameSync(tempPath, thumbnailsPath);
+          } catch (err) {
+            // E.g. the disk filled up or the recording was deleted meanwhile
+            console.error(`Thumbnails of ${streamKey} could not be saved:`, err.message);
+            fs.rmSync(tempPath, { recursive: true, force: true });
+            return finish(err);
+          }
+          console.log(`Thumbnails generated for ${streamKey} (${count} scrub thumbnails)`);
+          finish(null, thumbnailsPath);
+        })
+        .on('error', (err) => {
+          console.error(`Thumbnail FFmpeg error for ${streamKey}:`, err.message);
+          timelapseProcesses.delete(processKey);
+          fs.rmSync(tempPath, { recursive: true, force: true });
+          finish(err);
+        });
+
+      timelapseProcesses.set(processKey, command);
+      command.run();
+    });
+  });
+}
+
+// Helper function to build the WebVTT thumbnails track of a recording,
+// mapping each scrub interval to its thumbnail image
+function buildThumbnailsVtt(thumbnailsPath, baseUrl, query = '') {
+  const { interval, count, duration } = JSON.parse(fs.readFileSync(path.join(thumbnailsPath, 'thumbnails.json'), 'utf8'));
+  const cues = ['WEBVTT', ''];
+  for (let i = 0; i < count; i++) {
+    const start = i * interval;
+    const end = Math.min((i + 1) * interval, Math.max(duration, start + 1));
+    cues.push(`${formatVttTime(start)} --> ${formatVttTime(end)}`);
+    cues.push(`${baseUrl}thumbnails/thumb_${String(i + 1).padStart(4, '0')}.jpg${query}`);
+    cues.push('');
+  }
+  return cues.join('\n');
+}
+
+// Helper function to describe a timelapse job for API responses and events
+function serializeJob(job) {
+  return {
+    id: job.id,
+    userId: job.userId,
+    challengeNum: job.challengeNum,
+    variant: job.variantName,
+    state: job.state,
+    percent: Math.round(job.percent * 10) / 10,
+    eta: job.eta,
+    error: job.error,
+    playlistUrl: job.state === 'completed' ? job.playlistUrl : null,
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null
+  };
+}
+
+// Helper function to push a job's state to its Socket.IO subscribers
+function emitJobUpdate(job) {
+  io.to(`job:${job.id}`).emit('timelapse-job', serializeJob(job));
+}
+
+// Helper function to mark a job as finished and forget it after the retention period
+function finishJob(job, err) {
+  job.state = err ? 'failed' : 'completed';
+  job.error = err ? err.message : null;
+  job.percent = err ? job.percent : 100;
+  job.eta = err ? null : 0;
+  job.finishedAt = Date.now();
+  emitJobUpdate(job);
+  saveState();
+  setTimeout(() => timelapseJobs.delete(job.id), TIMELAPSE_JOB_RETENTION_MS).unref();
+}
+
+// Helper function to start queued timelapse jobs while below the concurrency limit
+function processTimelapseQueue() {
+  while (!shuttingDown && timelapseQueue.length > 0 && runningTimelapseJobs < TIMELAPSE_CONCURRENCY) {
+    const job = timelapseQueue.shift();
+    runningTimelapseJobs++;
+    job.state = 'running';
+    job.startedAt = Date.now();
+    emitJobUpdate(job);
+    saveState();
+
+    let lastPercent = -1;
+    generateTimelapse(job.userId, job.challengeNum, job.options, (err) => {
+      runningTimelapseJobs--;
+      // Killed by a shutdown: the job stays 'running' in the state file so the
+      // next boot re-queues it
+      if (shuttingDown) {
+        return;
+      }
+      finishJob(job, err);
+      processTimelapseQueue();
+    }, ({ percent, eta }) => {
+      job.percent = percent;
+      job.eta = eta;
+      // Only push whole-percent changes to subscribers
+      if (Math.floor(percent) !== lastPercent) {
+        lastPercent = Math.floor(percent);
+        emitJobUpdate(job);
+      }
+    });
+  }
+}
+
+// Helper function to queue a timelapse job, reusing a queued or running job
+// for the same variant instead of starting a duplicate
+function enqueueTimelapseJob(userId, challengeNum, options, playlistUrl) {
+  const variantName = getTimelapseVariantName(options);
+  for (const job of timelapseJobs.values()) {
+    if (job.userId === userId && job.challengeNum === challengeNum && job.variantName === variantName &&
+        (job.state === 'queued' || job.state === 'running')) {
+      return job;
+    }
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    userId,
+    challengeNum,
+    options,
+    variantName,
+    playlistUrl,
+    state: 'queued',
+    percent: 0,
+    eta: null,
+    error: null,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null
+  };
+  timelapseJobs.set(job.id, job);
+
+  // Nothing to do if the variant is already cached and up to date
+  if (isTimelapseFresh(userId, challengeNum, options)) {
+    finishJob(job, null);
+    return job;
+  }
+
+  timelapseQueue.push(job);
+  saveState();
+  console.log(`Queued timelapse job ${job.id} for ${getStreamKey(userId, challengeNum)} (${variantName}), queue depth ${timelapseQueue.length}`);
+  processTimelapseQueue();
+  return job;
+}
+
+// Helper function to write live streams and timelapse jobs to the state file
+// right away (atomically, so a crash mid-write never leaves it truncated)
+function saveStateNow() {
+  const state = {
+    savedAt: new Date().toISOString(),
+    streams: {},
+    jobs: {}
+  };
+  for (const [streamKey, streamInfo] of activeStreams.entries()) {
+    state.streams[streamKey] = {
+      userId: streamInfo.userId,
+      challengeNum: streamInfo.challengeNum,
+      session: streamInfo.session,
+      sessionPath: streamInfo.sessionPath,
+      startTime: streamInfo.startTime
+    };
+  }
+  for (const job of timelapseJobs.values()) {
+    state.jobs[job.id] = {
+      id: job.id,
+      userId: job.userId,
+      challengeNum: job.challengeNum,
+      options: job.options,
+      variantName: job.variantName,
+      playlistUrl: job.playlistUrl,
+      state: job.state,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  try {
+    const tempFile = `${STATE_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(state, null, 2));
+    fs.renameSync(tempFile, STATE_FILE);
+  } catch (e) {
+    console.error('Failed to save server state:', e.message);
+  }
+}
+
+// Helper function to save state soon, batching bursts of changes into one write
+let stateSaveTimer = null;
+function saveState() {
+  if (stateSaveTimer) {
+    return;
+  }
+  stateSaveTimer = setTimeout(() => {
+    stateSaveTimer = null;
+    saveStateNow();
+  }, 100);
+}
+
+// Helper function to reconcile the state file left by the previous process:
+// finalize playlists of streams that were live, and fail or re-queue
+// timelapse jobs that were interrupted. Returns a summary of what was recovered.
+function recoverState() {
+  const summary = { finalizedStreams: [], requeuedJobs: [], failedJobs: [], restoredJobs: 0 };
+  if (!fs.existsSync(STATE_FILE)) {
+    return summary;
+  }
+
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+  } catch (e) {
+    console.error('Could not read server state, skipping recovery:', e.message);
+    return summary;
+  }
+
+  // Streams that were live when the process died: their input files are
+  // complete up to the last written chunk, only the playlists need an end marker
+  for (const [streamKey, stream] of Object.entries(state.streams || {})) {
+    if (stream.sessionPath && fs.existsSync(stream.sessionPath)) {
+      syncSessionPlaylists(stream.sessionPath, true);
+      summary.finalizedStreams.push(streamKey);
+    }
+  }
+
+  for (const saved of Object.values(state.jobs || {})) {
+    const job = { ...saved, percent: saved.state === 'completed' ? 100 : 0, eta: null };
+
+    if (job.state === 'completed' || job.state === 'failed') {
+      // Keep finished jobs around until their retention period is over
+      const remaining = TIMELAPSE_JOB_RETENTION_MS - (Date.now() - job.finishedAt);
+      if (remaining > 0) {
+        timelapseJobs.set(job.id, job);
+        setTimeout(() => timelapseJobs.delete(job.id), remaining).unref();
+        summary.restoredJobs++;
+      }
+      continue;
+    }
+
+    // Interrupted mid-run: the half-written variant must not be mistaken for a cached one
+    removeTimelapseVariant(getRecordingPath(job.userId, job.challengeNum), job.variantName);
+
+    if (RECOVERY_REQUEUE_JOBS && getSessions(job.userId, job.challengeNum).length > 0) {
+      job.state = 'queued';
+      job.startedAt = null;
+      timelapseJobs.set(job.id, job);
+      timelapseQueue.push(job);
+      summary.requeuedJobs.push(job.id);
+    } else {
+      timelapseJobs.set(job.id, job);
+      finishJob(job, new Error('Interrupted by server restart'));
+      summary.failedJobs.push(job.id);
+    }
+  }
+
+  saveStateNow();
+  processTimelapseQueue();
+  return summary;
+}
+
+// Helper function to get the playback links of a recording for webhook payloads,
+// absolute when PUBLIC_URL is set. Links carry no token: receivers that need
+// one (WATCH_REQUIRE_TOKEN) issue their own.
+function getPlaybackUrls(userId, challengeNum) {
+  const key = `${encodeURIComponent(userId)}/${encodeURIComponent(challengeNum)}`;
+  return {
+    watch: `${PUBLIC_URL}/watch/${key}`,
+    timelapse: `${PUBLIC_URL}/timelapse/${key}`,
+    download: `${PUBLIC_URL}/download/${key}`,
+    thumbnail: `${PUBLIC_URL}/thumbnail/${key}`
+  };
+}
+
+// Helper function to get the wall-clock length (in seconds) of all of a recording's sessions
+function getRecordingDuration(userId, challengeNum) {
+  let total = 0;
+  for (const session of getSessions(userId, challengeNum)) {
+    try {
+      const { startTime, endTime } = getSessionTimes(session);
+      total += (endTime - startTime) / 1000;
+    } catch (e) {
+      // Session removed in the meantime, leave it out
+    }
+  }
+  return Math.round(total);
+}
+
+// Helper function to write the webhook delivery log right away, dropping the
+// oldest finished deliveries beyond WEBHOOK_LOG_LIMIT
+function saveWebhookLogNow() {
+  while (webhookDeliveries.length > WEBHOOK_LOG_LIMIT) {
+    const index = webhookDeliveries.findIndex((delivery) => delivery.status !== 'pending');
+    if (index === -1) {
+      break;
+    }
+    webhookDeliveries.splice(index, 1);
+  }
+  try {
+    const tempFile = `${WEBHOOK_LOG_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(webhookDeliveries, null, 2));
+    fs.renameSync(tempFile, WEBHOOK_LOG_FILE);
+  } catch (e) {
+    console.error('Failed to save webhook delivery log:', e.message);
+  }
+}
+
+// Helper function to save the webhook delivery log soon, batching bursts of changes
+let webhookLogSaveTimer = null;
+function saveWebhookLog() {
+  if (webhookLogSaveTimer) {
+    return;
+  }
+  webhookLogSaveTimer = setTimeout(() => {
+    webhookLogSaveTimer = null;
+    saveWebhookLogNow();
+  }, 100);
+}
+
+// Helper function to sign a webhook body. Receivers recompute
+// HMAC-SHA256(WEBHOOK_SECRET, `${timestamp}.${body}`) and compare it to v1.
+function signWebhook(timestamp, body) {
+  return crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Helper function to notify every configured webhook endpoint of an event
+function sendWebhook(event, data) {
+  if (WEBHOOK_URLS.length === 0) {
+    return;
+  }
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    createdAt: new Date().toISOString(),
+    data
+  };
+  for (const url of WEBHOOK_URLS) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      event,
+      url,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      responseStatus: null,
+      error: null,
+      createdAt: Date.now(),
+      lastAttemptAt: null,
+      nextAttemptAt: Date.now()
+    };
+    webhookDeliveries.push(delivery);
+    deliverWebhook(delivery);
+  }
+  saveWebhookLog();
+}
+
+// Helper function to POST a webhook delivery, retrying with exponential backoff
+// (5s, 10s, 20s, ...) until it succeeds or WEBHOOK_MAX_ATTEMPTS is reached
+async function deliverWebhook(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'outback-streaming-webhooks',
+    'X-Webhook-Event': delivery.event,
+    'X-Webhook-Delivery': delivery.id,
+    'X-Webhook-Signature': `t=${timestamp},v1=${signWebhook(timestamp, body)}`
+  };
+
+  delivery.attempts++;
+  delivery.lastAttemptAt = Date.now();
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    delivery.responseStatus = response.status;
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    delivery.status = 'delivered';
+    delivery.error = null;
+    delivery.nextAttemptAt = null;
+    console.log(`Delivered ${delivery.event} webhook to ${delivery.url}`);
+  } catch (err) {
+    delivery.error = err.message;
+    if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      console.error(`Giving up on ${delivery.event} webhook to ${delivery.url} after ${delivery.attempts} attempt(s): ${err.message}`);
+    } else {
+      const delay = 5000 * 2 ** (delivery.attempts - 1);
+      delivery.nextAttemptAt = Date.now() + delay;
+      console.warn(`${delivery.event} webhook to ${delivery.url} failed (${err.message}), retrying in ${delay / 1000}s`);
+      setTimeout(() => deliverWebhook(delivery), delay).unref();
+    }
+  }
+  saveWebhookLog();
+}
+
+// Helper function to load the webhook delivery log on boot and resume
+// deliveries that were still pending when the previous process stopped
+function loadWebhookLog() {
+  if (!fs.existsSync(WEBHOOK_LOG_FILE)) {
+    return;
+  }
+  try {
+    webhookDeliveries.push(...JSON.parse(fs.readFileSync(WEBHOOK_LOG_FILE, 'utf8')));
+  } catch (e) {
+    console.error('Could not read webhook delivery log:', e.message);
+    return;
+  }
+  for (const delivery of webhookDeliveries) {
+    if (delivery.status === 'pending') {
+      const delay = Math.max(0, (delivery.nextAttemptAt || 0) - Date.now());
+      setTimeout(() => deliverWebhook(delivery), delay).unref();
+    }
+  }
+}
+
+// Helper function to load the manifest signing key, generating and storing a
+// new Ed25519 key pair the first time
+function loadManifestKey() {
+  if (fs.existsSync(MANIFEST_KEY_FILE)) {
+    manifestKey = crypto.createPrivateKey(fs.readFileSync(MANIFEST_KEY_FILE));
+  } else {
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    try {
+      // Exclusive, so nodes of a cluster booting together all end up with the same key
+      fs.writeFileSync(MANIFEST_KEY_FILE, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600, flag: 'wx' });
+      manifestKey = privateKey;
+      console.log(`Generated a new manifest signing key in ${MANIFEST_KEY_FILE}`);
+    } catch (err) {
+      if (err.code !== 'EEXIST') {
+        throw err;
+      }
+      manifestKey = crypto.createPrivateKey(fs.readFileSync(MANIFEST_KEY_FILE));
+    }
+  }
+  console.log(`Manifests are signed with key ${getKeyId(crypto.createPublicKey(manifestKey))}`);
+}
+
+// Helper function to (re)write a recording's signed manifest.json, leaving out
+// the session being recorded, then upload the recording to the storage backend.
+// Seals of one recording run one after the other.
+function sealRecording(userId, challengeNum) {
+  const streamKey = getStreamKey(userId, challengeNum);
+  const recordingPath = getRecordingPath(userId, challengeNum);
+  const seal = (manifestSeals.get(streamKey) || Promise.resolve())
+    .then(async () => {
+      // In cluster mode, a node that took the key over seals once its stream stops
+      if (!fs.existsSync(recordingPath) || !(await ownsStreamKey(streamKey))) {
+        return;
+      }
+      const streamInfo = activeStreams.get(streamKey);
+      const manifest = await createManifest(recordingPath, {
+        userId,
+        challengeNum,
+        privateKey: manifestKey,
+        skipSessions: streamInfo ? [getSessionName(streamInfo.session)] : [],
+        evicted: getEvictedFiles(storage, recordingPath)
+      });
+      const manifestFile = path.join(recordingPath, MANIFEST_FILE);
+      fs.writeFileSync(`${manifestFile}.tmp`, JSON.stringify(manifest, null, 2));
+      fs.renameSync(`${manifestFile}.tmp`, manifestFile);
+      console.log(`Sealed manifest for ${streamKey} (${manifest.sessions.length} session(s))`);
+      if (storage) {
+        uploadRecording(userId, challengeNum);
+      }
+    })
+    .catch((err) => {
+      console.error(`Failed to seal the manifest of ${streamKey}:`, err.message);
+    })
+    .finally(() => {
+      if (manifestSeals.get(streamKey) === seal) {
+        manifestSeals.delete(streamKey);
+      }
+    });
+  manifestSeals.set(streamKey, seal);
+  return seal;
+}
+
+// Helper function to list the files of a recording that belong in the storage
+// backend, relative to the recording: inputs, segments, playlists and metadata
+// of every finished session, and the timelapses. Caches that are regenerated
+// on demand (exports, thumbnails), temporary and hidden files are left out.
+function listStorableFiles(recordingPath, skipSessions = []) {
+  const files = [];
+  const walk = (relDir) => {
+    for (const entry of fs.readdirSync(path.join(recordingPath, relDir), { withFileTypes: true })) {
+      const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+      if (entry.name.startsWith('.') || entry.name.includes('.tmp') || entry.name.startsWith('download_') ||
+          entry.name === 'thumbnails' || skipSessions.includes(relPath)) {
+        continue;
+      }
+      if (entry.isDirectory()) {
+        walk(relPath);
+      } else if (/\.(ts|m3u8|webm|json|jsonl)$/.test(entry.name)) {
+        files.push(relPath);
+      }
+    }
+  };
+  walk('');
+  return files;
+}
+
+// Helper function to check whether an uploaded file may be evicted from disk:
+// segments, and the raw inputs of sessions (legacy top-level inputs stay, see getSessions)
+function isEvictable(relPath) {
+  return relPath.endsWith('.ts') || /^session_\d+\/input\.webm$/.test(relPath);
+}
+
+// Helper function to upload what changed in a recording since its last upload
+// to the storage backend. With STORAGE_EVICT_LOCAL, uploaded media is then
+// deleted from disk, unless an FFmpeg job might still read it. The index is
+// written every STORAGE_INDEX_BATCH files, always before anything is evicted.
+// Uploads of one recording run one after the other.
+function uploadRecording(userId, challengeNum) {
+  const streamKey = getStreamKey(userId, challengeNum);
+  const recordingPath = getRecordingPath(userId, challengeNum);
+  const upload = (storageUploads.get(streamKey) || Promise.resolve())
+    .then(async () => {
+      if (!fs.existsSync(recordingPath) || !(await ownsStreamKey(streamKey))) {
+        return;
+      }
+      const streamInfo = activeStreams.get(streamKey);
+      const jobs = () => [...timelapseProcesses.keys()]
+        .filter((processKey) => processKey.startsWith(`${streamKey}/`))
+        .map((processKey) => processKey.slice(streamKey.length + 1));
+      // Timelapse variants still being generated are uploaded once they finish
+      const generating = jobs();
+      const known = readStorageIndex(recordingPath);
+      let uploaded = 0;
+      let evicted = 0;
+      let batch = [];
+
+      const flush = () => {
+        // Only evict the copy that was uploaded, and never under a running FFmpeg job
+        const evictions = STORAGE_EVICT_LOCAL && jobs().length === 0
+          ? batch.filter(({ relPath, file, stats }) => {
+            if (!isEvictable(relPath) || !fs.existsSync(file)) {
+              return false;
+            }
+            const current = fs.statSync(file);
+            return current.size === stats.size && current.mtimeMs === stats.mtimeMs;
+          })
+          : [];
+        const evictedAt = new Date().toISOString();
+        updateStorageIndex(recordingPath, (index) => {
+          batch.forEach(({ relPath, entry }) => { index[relPath] = entry; });
+          evictions.forEach(({ relPath }) => { index[relPath] = { ...index[relPath], evictedAt }; });
+        });
+        for (const { file, stats } of evictions) {
+          fs.unlinkSync(file);
+          metrics.storageEvictedBytes += stats.size;
+          evicted++;
+        }
+        batch = [];
+      };
+
+      try {
+        for (const relPath of listStorableFiles(recordingPath, streamInfo ? [getSessionName(streamInfo.session)] : [])) {
+          const file = path.join(recordingPath, relPath);
+          if (generating.some((name) => relPath.startsWith(`${name}.`) || relPath.startsWith(`${name}_segment_`)) || !fs.existsSync(file)) {
+            continue;
+          }
+          const stats = fs.statSync(file);
+          let entry = known[relPath];
+          if (!entry || entry.bytes !== stats.size || entry.mtimeMs !== stats.mtimeMs) {
+            try {
+              await storage.putFile(getObjectKey(recordingPath, relPath), file);
+            } catch (err) {
+              metrics.storageUploadFailures++;
+              throw err;
+            }
+            entry = { bytes: stats.size, mtimeMs: stats.mtimeMs, uploadedAt: new Date().toISOString() };
+            metrics.storageUploads++;
+            metrics.storageUploadBytes += stats.size;
+            uploaded++;
+          } else if (!STORAGE_EVICT_LOCAL || !isEvictable(relPath)) {
+            continue;
+          }
+          batch.push({ relPath, file, stats, entry });
+          if (batch.length >= STORAGE_INDEX_BATCH) {
+            flush();
+          }
+        }
+      } finally {
+        flush();
+        if (uploaded > 0 || evicted > 0) {
+          console.log(`Storage: uploaded ${uploaded} and evicted ${evicted} file(s) of ${streamKey}`);
+        }
+      }
+    })
+    .catch((err) => {
+      console.error(`Failed to upload ${streamKey} to storage:`, err.message);
+    })
+    .finally(() => {
+      if (storageUploads.get(streamKey) === upload) {
+        storageUploads.delete(streamKey);
+      }
+    });
+  storageUploads.set(streamKey, upload);
+  return upload;
+}
+
+// Helper function to upload every recording that isn't live, catching up on
+// uploads that failed or were cut short by a restart
+function uploadPendingRecordings() {
+  for (const entry of fs.readdirSync(RECORDINGS_DIR, { withFileTypes: true })) {
+    if (!entry.isDirectory() || entry.name.startsWith('.')) {
+      continue;
+    }
+    const owner = getRecordingOwner(entry.name);
+    if (owner && getStreamKey(owner.userId, owner.challengeNum) === entry.name) {
+      uploadRecording(owner.userId, owner.challengeNum);
+    }
+  }
+}
+
+// Helper function to delete files of a recording from the storage backend,
+// picked by matches (given the path relative to the recording). Their index
+// entries go at once, the objects are deleted in the background.
+function deleteStoredFiles(recordingPath, matches) {
+  const relPaths = Object.keys(readStorageIndex(recordingPath)).filter(matches);
+  if (relPaths.length === 0) {
+    return;
+  }
+  updateStorageIndex(recordingPath, (index) => {
+    relPaths.forEach((relPath) => delete index[relPath]);
+  });
+  if (!storage) {
+    console.warn(`No storage backend configured, leaving ${relPaths.length} object(s) of ${path.basename(recordingPath)} in the bucket`);
+    return;
+  }
+  (async () => {
+    for (const relPath of relPaths) {
+      try {
+        await storage.deleteObject(getObjectKey(recordingPath, relPath));
+      } catch (err) {
+        console.error(`Failed to delete ${getObjectKey(recordingPath, relPath)} from storage:`, err.message);
+      }
+    }
+  })();
+}
+
+// Helper function to seal recordings with sessions that have a hash chain but
+// are missing from their manifest, e.g. because the server stopped before the
+// seal was written
+function sealPendingRecordings() {
+  for (const entry of fs.readdirSync(RECORDINGS_DIR, { withFileTypes: true })) {
+    if (!entry.isDirectory() || entry.name.startsWith('.')) {
+      continue;
+    }
+    const owner = getRecordingOwner(entry.name);
+    if (!owner || activeStreams.has(entry.name)) {
+      continue;
+    }
+    let manifest = null;
+    try {
+      manifest = JSON.parse(fs.readFileSync(path.join(RECORDINGS_DIR, entry.name, MANIFEST_FILE), 'utf8'));
+    } catch (e) {
+      // Never sealed
+    }
+    const sealed = new Set(manifest ? manifest.sessions.map((session) => session.session) : []);
+    const pending = getSessions(owner.userId, owner.challengeNum).some((session) =>
+      session.number > 0 && !sealed.has(getSessionName(session.number)) &&
+      fs.existsSync(path.join(session.path, CHAIN_FILE)));
+    if (pending) {
+      console.log(`Sealing unsealed sessions of ${entry.name}`);
+      sealRecording(owner.userId, owner.challengeNum);
+    }
+  }
+}
+
+// Helper function to turn a stream-chunk payload into a Buffer. Current clients
+// send binary (arriving as a Buffer or ArrayBuffer), older ones send base64.
+function decodeChunk(chunk) {
+  if (Buffer.isBuffer(chunk)) {
+    return chunk;
+  }
+  if (chunk instanceof ArrayBuffer || ArrayBuffer.isView(chunk)) {
+    return Buffer.from(chunk.buffer || chunk, chunk.byteOffset || 0, chunk.byteLength);
+  }
+  if (typeof chunk === 'string') {
+    return Buffer.from(chunk, 'base64');
+  }
+  return null;
+}
+
+// Helper function to add a chunk about to be written to input.webm to its
+// session's hash chain, with its arrival time
+function appendChunkToChain(streamInfo, buffer, seq) {
+  const entry = {
+    seq: Number.isInteger(seq) ? seq : null,
+    receivedAt: Date.now(),
+    bytes: buffer.length,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+  };
+  entry.hash = getChainLink(streamInfo.chainHead, entry);
+  streamInfo.chainHead = entry.hash;
+  streamInfo.chainStream.write(JSON.stringify(entry) + '\n');
+}
+
+// Helper function to check a chunk's sequence number against the next one
+// expected for its stream, logging gaps (lost chunks) and reorders (late chunks).
+// Returns false for a chunk at or before one already written (a resend, or one
+// that arrived too late): appending it would corrupt input.webm. Chunks without
+// a sequence number come from older clients and aren't tracked.
+function trackChunkSequence(streamKey, streamInfo, seq) {
+  if (!Number.isInteger(seq)) {
+    return true;
+  }
+  if (seq > streamInfo.nextSeq) {
+    const missing = seq - streamInfo.nextSeq;
+    streamInfo.chunkGaps++;
+    streamInfo.missingChunks += missing;
+    metrics.chunkGaps++;
+    metrics.chunksMissing += missing;
+    console.warn(`Chunk gap for ${streamKey}: expected #${streamInfo.nextSeq}, got #${seq} (${missing} missing, ${streamInfo.chunkGaps} gap(s) this session)`);
+  } else if (seq < streamInfo.nextSeq) {
+    streamInfo.reorderedChunks++;
+    console.warn(`Skipping chunk #${seq} for ${streamKey}, already past it at #${streamInfo.nextSeq - 1} (${streamInfo.reorderedChunks} resent or late this session)`);
+    return false;
+  }
+  streamInfo.nextSeq = seq + 1;
+  return true;
+}
+
+// Helper function to hold back a chunk until the stream's write buffer drains
+// below MAX_BUFFERED_CHUNK_BYTES. Held chunks are written in arrival order.
+function holdChunk(streamInfo, size, write) {
+  streamInfo.heldChunks.push({ size, write });
+  streamInfo.heldBytes += size;
+  if (streamInfo.heldChunks.length === 1) {
+    streamInfo.writeStream.once('drain', () => releaseHeldChunks(streamInfo));
+  }
+}
+
+// Helper function to write held chunks while the write buffer is below the
+// limit, or all of them when the stream is about to end
+function releaseHeldChunks(streamInfo, all = false) {
+  while (streamInfo.heldChunks.length > 0 && (all || streamInfo.writeStream.writableLength <= MAX_BUFFERED_CHUNK_BYTES)) {
+    const { size, write } = streamInfo.heldChunks.shift();
+    streamInfo.heldBytes -= size;
+    write();
+  }
+  if (streamInfo.heldChunks.length > 0) {
+    streamInfo.writeStream.once('drain', () => releaseHeldChunks(streamInfo));
+  }
+}
+
+// Helper function to close the current session of a stream. reason ('stopped',
+// 'disconnected', 'replaced' or 'error') is passed on to the stream.stopped webhook.
+function stopStream(streamKey, reason = 'stopped') {
+  const streamInfo = activeStreams.get(streamKey);
+  if (streamInfo && streamInfo.reconnectTimer) {
+    clearTimeout(streamInfo.reconnectTimer);
+  }
+  // The session is sealed into the manifest once its input, hash chain and
+  // segments are all on disk
+  const finished = [];
+  if (streamInfo && streamInfo.writeStream) {
+    // Chunks still held back are written before the input is closed
+    releaseHeldChunks(streamInfo, true);
+    finished.push(new Promise((resolve) => streamInfo.writeStream.once('close', resolve)));
+    // Refresh thumbnails and the activity timeline once the last chunk is on
+    // disk, one after the other to keep CPU use down (they are made on demand
+    // after a restart instead)
+    streamInfo.writeStream.end(() => {
+      if (shuttingDown) {
+        return;
+      }
+      generateThumbnails(streamInfo.userId, streamInfo.challengeNum, () => {
+        analyzeActivity(streamInfo.userId, streamInfo.challengeNum);
+      });
+    });
+  }
+
+  if (streamInfo && streamInfo.chainStream) {
+    finished.push(new Promise((resolve) => streamInfo.chainStream.end(resolve)));
+  }
+
+  // Stop FFmpeg process if running; its end/error handler finalizes the VOD
+  // playlist once the last segment is written
+  if (ffmpegProcesses.has(streamKey)) {
+    const ffmpegProcess = ffmpegProcesses.get(streamKey);
+    finished.push(new Promise((resolve) => ffmpegProcess.once('end', resolve).once('error', resolve)));
+    ffmpegProcess.kill('SIGTERM');
+    ffmpegProcesses.delete(streamKey);
+  } else if (streamInfo) {
+    syncSessionPlaylists(streamInfo.sessionPath, true);
+  }
+
+  if (streamInfo) {
+    Promise.all(finished).then(() => sealRecording(streamInfo.userId, streamInfo.challengeNum));
+    const stoppedAt = Date.now();
+    emitViewerUpdate(streamInfo.userId, streamInfo.challengeNum, 'stopped', {
+      session: streamInfo.session,
+      reason,
+      duration: Math.round((stoppedAt - streamInfo.startTime) / 1000)
+    });
+    sendWebhook('stream.stopped', {
+      userId: streamInfo.userId,
+      challengeNum: streamInfo.challengeNum,
+      session: streamInfo.session,
+      reason,
+      startedAt: new Date(streamInfo.startTime).toISOString(),
+      stoppedAt: new Date(stoppedAt).toISOString(),
+      duration: Math.round((stoppedAt - streamInfo.startTime) / 1000),
+      recordingDuration: getRecordingDuration(streamInfo.userId, streamInfo.challengeNum),
+      urls: getPlaybackUrls(streamInfo.userId, streamInfo.challengeNum)
+    });
+  }
+
+  activeStreams.delete(streamKey);
+  saveState();
+}
+
+// Helper function to keep a stream open for STREAM_RECONNECT_GRACE seconds
+// after its streamer disconnected, so the stream page can pick it up again with
+// resume-stream. Viewers see it as paused in the meantime.
+function waitForReconnect(streamKey, streamInfo) {
+  if (!STREAM_RECONNECT_GRACE || shuttingDown) {
+    return stopStream(streamKey, 'disconnected');
+  }
+  streamInfo.socketId = null;
+  streamInfo.disconnectedAt = Date.now();
+  streamInfo.reconnectTimer = setTimeout(() => {
+    if (activeStreams.get(streamKey) === streamInfo) {
+      console.log(`Streamer of ${streamKey} did not reconnect within ${STREAM_RECONNECT_GRACE}s`);
+      stopStream(streamKey, 'disconnected');
+    }
+  }, STREAM_RECONNECT_GRACE * 1000);
+  console.log(`Streamer of ${streamKey} disconnected, keeping ${getSessionName(streamInfo.session)} open for ${STREAM_RECONNECT_GRACE}s`);
+  emitViewerUpdate(streamInfo.userId, streamInfo.challengeNum, 'paused', { session: streamInfo.session, reason: 'reconnecting' });
+}
+
+// Helper function to get the Socket.IO room viewers of a stream key join
+function getViewerRoom(streamKey) {
+  return `viewers:${streamKey}`;
+}
+
+// Helper function to count the sockets watching a stream key, on every node in
+// cluster mode. Resolves to null if some node didn't answer in time.
+async function getViewerCount(streamKey) {
+  try {
+    const viewers = await io.in(getViewerRoom(streamKey)).fetchSockets();
+    return viewers.length;
+  } catch (err) {
+    console.warn(`Could not count the viewers of ${streamKey}:`, err.message);
+    return null;
+  }
+}
+
+// Helper function to tell the streamer of a stream key how many viewers it has
+function emitViewerCount(streamKey) {
+  getViewerCount(streamKey).then((viewers) => {
+    if (viewers !== null) {
+      io.to(streamKey).emit('viewer-count', { streamKey, viewers });
+    }
+  });
+}
+
+// Helper function to describe a stream that is live on this node, null otherwise
+function getLocalLiveStatus(streamKey) {
+  const streamInfo = activeStreams.get(streamKey);
+  if (!streamInfo) {
+    return null;
+  }
+  return {
+    streamKey,
+    userId: streamInfo.userId,
+    challengeNum: streamInfo.challengeNum,
+    live: true,
+    session: streamInfo.session,
+    startTime: new Date(streamInfo.startTime).toISOString(),
+    duration: Math.round((Date.now() - streamInfo.startTime) / 1000),
+    playlistAvailable: streamInfo.livePlaylistNotified,
+    paused: streamInfo.uploadsPaused || !streamInfo.socketId,
+    reconnecting: !streamInfo.socketId
+  };
+}
+
+// Helper function to ask the other nodes of the cluster (see the cluster
+// event handlers below). Resolves to their answers; nodes that don't answer in
+// time (see cluster.js) are left out.
+function askCluster(event, ...args) {
+  if (!cluster) {
+    return Promise.resolve([]);
+  }
+  return new Promise((resolve) => {
+    io.serverSideEmit(event, ...args, (err, responses) => {
+      if (err) {
+        console.warn(`Cluster: ${event}: ${err.message}`);
+      }
+      resolve(responses || []);
+    });
+  });
+}
+
+// Helper function to describe a stream key's live state for viewers and /live,
+// wherever in the cluster it is live
+async function getLiveStatus(userId, challengeNum) {
+  const streamKey = getStreamKey(userId, challengeNum);
+  const localStatus = getLocalLiveStatus(streamKey);
+  const liveStatus = localStatus || (await askCluster('live-status', streamKey)).find(Boolean);
+  return {
+    streamKey,
+    userId,
+    challengeNum,
+    live: Boolean(liveStatus),
+    viewers: await getViewerCount(streamKey),
+    ...liveStatus
+  };
+}
+
+// Helper function to list the streams live anywhere in the cluster
+async function listLiveStreams() {
+  const streams = [...activeStreams.keys()].map(getLocalLiveStatus);
+  for (const nodeStreams of await askCluster('live-streams')) {
+    streams.push(...nodeStreams);
+  }
+  return streams;
+}
+
+// Helper function to send a 'stream-update' event ('live', 'segments', 'paused',
+// 'resumed', 'stopped' or 'timelapse-ready') to the viewers of a stream key
+function emitViewerUpdate(userId, challengeNum, type, details = {}) {
+  const streamKey = getStreamKey(userId, challengeNum);
+  io.to(getViewerRoom(streamKey)).emit('stream-update', { type, streamKey, userId, challengeNum, ...details });
+}
+
+// Authenticate Socket.IO handshakes: every socket with a token is bound to the
+// one userId/challenge it was issued for. Sockets without a token may connect
+// (e.g. to follow timelapse jobs) but cannot stream.
+io.use((socket, next) => {
+  const token = (socket.handshake.auth && socket.handshake.auth.token) || socket.handshake.query.token;
+  if (!token) {
+    return next();
+  }
+  try {
+    const payload = verifyStreamToken(token);
+    socket.data.userId = payload.userId;
+    socket.data.challengeNum = payload.challengeNum;
+    next();
+  } catch (err) {
+    console.warn(`Rejected socket ${socket.id}: ${err.message}`);
+    next(new Error(`Unauthorized: ${err.message}`));
+  }
+});
+
+// Helper function to check that a socket event's payload is valid and targets the
+// key its token is bound to. Handlers destructure the payload only after this.
+// Tokens are only checked for expiry at handshake so long sessions aren't cut off.
+function authorizeSocketEvent(socket, event, payload) {
+  const invalid = validateStreamKeyPayload(payload);
+  if (invalid) {
+    console.warn(`Rejected ${event} from ${socket.id}: ${invalid.message}`);
+    socket.emit('stream-error', { ...invalid, event });
+    return false;
+  }
+  const { userId, challengeNum } = payload;
+  if (tokenMatches(socket.data, userId, challengeNum)) {
+    return true;
+  }
+  console.warn(`Rejected ${event} from ${socket.id} for ${getStreamKey(userId, challengeNum)}`);
+  socket.emit('stream-error', {
+    error: 'Forbidden',
+    message: `Token is not valid for ${userId}/${challengeNum}`,
+    event
+  });
+  return false;
+}
+
+// Questions and requests from the other nodes of the cluster (see askCluster).
+// A node that took over a stream key, or got a stop for a stream running here,
+// asks for it to be stopped.
+io.on('stop-stream', (streamKey, reason) => {
+  if (reason === 'replaced') {
+    clusterClaims.delete(streamKey);
+  }
+  if (activeStreams.has(streamKey)) {
+    console.log(`Stopping stream ${streamKey} for another node (${reason})`);
+    stopStream(streamKey, reason);
+  }
+});
+
+io.on('live-status', (streamKey, callback) => {
+  callback(getLocalLiveStatus(streamKey));
+});
+
+io.on('live-streams', (callback) => {
+  callback([...activeStreams.keys()].map(getLocalLiveStatus));
+});
+
+io.on('timelapse-job', (jobId, callback) => {
+  const job = timelapseJobs.get(jobId);
+  callback(job ? serializeJob(job) : null);
+});
+
+// Helper function to find a timelapse job on this node or another one of the
+// cluster. Resolves to the serialized job, or null.
+async function findTimelapseJob(jobId) {
+  const job = timelapseJobs.get(jobId);
+  if (job) {
+    return serializeJob(job);
+  }
+  return (await askCluster('timelapse-job', jobId)).find(Boolean) || null;
+}
+
+// Helper function to check whether anything on this node still needs a stream
+// key: a stream, FFmpeg job, seal, upload, verification or queued timelapse job
+function isStreamKeyInUse(streamKey) {
+  return isRecordingBusy(streamKey) || manifestVerifications.has(streamKey) ||
+    timelapseQueue.some((job) => getStreamKey(job.userId, job.challengeNum) === streamKey);
+}
+
+// Helper function to keep this node registered in the cluster, renew the
+// stream keys it is using (or used within the last CLUSTER_OWNER_TTL seconds)
+// and release the others
+function refreshClusterClaims() {
+  cluster.touchNode().catch((err) => console.error('Cluster: failed to register this node:', err.message));
+  for (const [streamKey, lastUsed] of clusterClaims.entries()) {
+    if (!isStreamKeyInUse(streamKey) && Date.now() - lastUsed > cluster.ttl * 1000) {
+      clusterClaims.delete(streamKey);
+      cluster.release(streamKey).catch((err) => console.error(`Cluster: failed to release ${streamKey}:`, err.message));
+      continue;
+    }
+    cluster.refresh(streamKey)
+      .then((owned) => {
+        if (!owned && clusterClaims.delete(streamKey)) {
+          console.warn(`Cluster: ${streamKey} is owned by another node now`);
+        }
+      })
+      .catch((err) => console.error(`Cluster: failed to renew ${streamKey}:`, err.message));
+  }
+}
+
+// WebSocket handlers for streaming
+io.on('connection', (socket) => {
+  console.log('Client connected:', socket.id);
+  metrics.socketConnections++;
+
+  socket.on('start-stream', async (payload) => {
+    if (!authorizeSocketEvent(socket, 'start-stream', payload)) {
+      return;
+    }
+    const { userId, challengeNum } = payload;
+    const streamKey = getStreamKey(userId, challengeNum);
+    console.log(`Starting stream: ${streamKey}`);
+
+    if (shuttingDown) {
+      return socket.emit('stream-error', {
+        error: 'Server shutting down',
+        message: 'The server is restarting, please start streaming again in a moment.',
+        userId,
+        challengeNum,
+        event: 'start-stream'
+      });
+    }
+
+    // Refuse new streams rather than run the disk full under the ones already live
+    const limitError = checkDiskLimits(userId);
+    if (limitError) {
+      console.warn(`Refusing stream ${streamKey}: ${limitError.message}`);
+      return socket.emit('stream-error', { ...limitError, userId, challengeNum, event: 'start-stream' });
+    }
+
+    // In cluster mode this node becomes the owner of the key, and a stream
+    // still running on another node is stopped there
+    if (cluster) {
+      try {
+        const previousOwner = await cluster.takeOver(streamKey);
+        clusterClaims.set(streamKey, Date.now());
+        if (previousOwner) {
+          console.log(`Took over ${streamKey} from node ${previousOwner}`);
+          io.serverSideEmit('stop-stream', streamKey, 'replaced');
+        }
+      } catch (err) {
+        console.error(`Cluster: failed to claim ${streamKey}:`, err.message);
+        return socket.emit('stream-error', {
+          error: 'Cluster unavailable',
+          message: 'Could not start the stream, please try again in a moment.',
+          userId,
+          challengeNum,
+          event: 'start-stream'
+        });
+      }
+    }
+
+    // A second start for the same key (refresh, second click) closes the
+    // previous session instead of writing over it
+    if (activeStreams.has(streamKey)) {
+      stopStream(streamKey, 'replaced');
+    }
+
+    // Create recording directory and a new session inside it, keeping earlier sessions
+    const recordingPath = getRecordingPath(userId, challengeNum);
+    const resumed = getSessions(userId, challengeNum).length > 0;
+    // Session directories are created exclusively, in case another node of the
+    // cluster starts a session of this key at the same moment
+    fs.mkdirSync(recordingPath, { recursive: true });
+    let session = getNextSessionNumber(userId, challengeNum);
+    for (;;) {
+      try {
+        fs.mkdirSync(path.join(recordingPath, getSessionName(session)));
+        break;
+      } catch (err) {
+        if (err.code !== 'EEXIST') {
+          throw err;
+        }
+        session++;
+      }
+    }
+    const sessionPath = path.join(recordingPath, getSessionName(session));
+
+    const inputFile = path.join(sessionPath, 'input.webm');
+    const startTime = Date.now();
+
+    // Record who the recording belongs to and when this session started,
+    // for the catalog API (directory names alone can't be split reliably)
+    const recordingMetadata = path.join(recordingPath, 'recording.json');
+    if (!fs.existsSync(recordingMetadata)) {
+      fs.writeFileSync(recordingMetadata, JSON.stringify({ userId: String(userId), challengeNum: String(challengeNum) }));
+    }
+    // Also record the renditions this session is transcoded to; every one but
+    // the highest gets its own subdirectory (see getSessionRenditions)
+    const renditions = getLiveRenditions();
+    for (const rendition of renditions.slice(1)) {
+      fs.mkdirSync(path.join(sessionPath, rendition.name), { recursive: true });
+    }
+    fs.writeFileSync(path.join(sessionPath, 'session.json'), JSON.stringify({ session, startTime, renditions }));
+    
+    // Create a write stream for incoming WebM chunks. A failed write (e.g. the
+    // disk filled up anyway) ends the session and tells the streamer.
+    const writeStream = fs.createWriteStream(inputFile);
+    writeStream.on('error', (err) => {
+      console.error(`Failed to write ${inputFile}:`, err.message);
+      socket.emit('stream-error', {
+        error: 'Write failed',
+        message: `Recording stopped: ${err.message}`,
+        userId,
+        challengeNum
+      });
+      const current = activeStreams.get(streamKey);
+      if (current && current.writeStream === writeStream) {
+        stopStream(streamKey, 'error');
+      }
+    });
+
+    // Hash chain over the chunks written to input.webm, one JSON line per chunk
+    const chainStream = fs.createWriteStream(path.join(sessionPath, CHAIN_FILE), { flags: 'a' });
+    chainStream.on('error', (err) => {
+      console.error(`Failed to write the chunk hash chain of ${streamKey}:`, err.message);
+    });
+
+    // Store socket in active streams
+    activeStreams.set(streamKey, {
+      socketId: socket.id,
+      userId,
+      challengeNum,
+      startTime,
+      recordingPath,
+      session,
+      sessionPath,
+      writeStream,
+      chainStream,
+      chainHead: getChainGenesis(userId, challengeNum, session, startTime),
+      ffmpegStarted: false,
+      ffmpegStartedAt: null,
+      uploadsPaused: false,
+      // Chunks waiting for the write buffer to drain (see holdChunk)
+      heldChunks: [],
+      heldBytes: 0,
+      // Set while waiting for a disconnected streamer (see waitForReconnect)
+      disconnectedAt: null,
+      reconnectTimer: null,
+      livePlaylistNotified: false,
+      segmentCount: 0,
+      // Chunk sequence tracking (clients number chunks from 0 in every session)
+      nextSeq: 0,
+      chunkGaps: 0,
+      missingChunks: 0,
+      reorderedChunks: 0
+    });
+
+    saveState();
+
+    console.log(`${resumed ? 'Resuming' : 'Starting'} recording ${streamKey} in ${getSessionName(session)}`);
+    socket.join(streamKey);
+    socket.emit('stream-ready', { streamKey, session, resumed });
+    emitViewerCount(streamKey);
+    sendWebhook('stream.started', {
+      userId,
+      challengeNum,
+      session,
+      resumed,
+      startedAt: new Date(startTime).toISOString(),
+      urls: getPlaybackUrls(userId, challengeNum)
+    });
+  });
+
+  // Chunks are acknowledged once written to disk when the client passes an ack
+  // callback (older clients don't, and get no acknowledgement)
+  socket.on('stream-chunk', (payload, ack) => {
+    const acknowledge = typeof ack === 'function' ? ack : () => {};
+    if (!authorizeSocketEvent(socket, 'stream-chunk', payload)) {
+      return acknowledge({ ok: false, seq: payload ? payload.seq : undefined, error: 'Forbidden' });
+    }
+    const { userId, challengeNum, chunk, seq } = payload;
+    const streamKey = getStreamKey(userId, challengeNum);
+    const streamInfo = activeStreams.get(streamKey);
+    
+    if (streamInfo && streamInfo.writeStream) {
+      const buffer = decodeChunk(chunk);
+      if (!buffer) {
+        console.warn(`Ignoring malformed chunk for ${streamKey}`);
+        return acknowledge({ ok: false, seq, error: 'Malformed chunk' });
+      }
+
+      const writeChunk = () => {
+        // Already written (e.g. resent after a reconnect): acknowledge it again
+        if (!trackChunkSequence(streamKey, streamInfo, seq)) {
+          return acknowledge({ ok: true, seq });
+        }
+        metrics.chunksReceived++;
+        metrics.chunkBytesReceived += buffer.length;
+        appendChunkToChain(streamInfo, buffer, seq);
+
+        // Write chunk to file, acknowledging once it has been flushed
+        const flushed = streamInfo.writeStream.write(buffer, (err) => {
+          if (err) {
+            console.error(`Failed to write chunk for ${streamKey}:`, err.message);
+          }
+          acknowledge(err ? { ok: false, seq, error: 'Write failed' } : { ok: true, seq });
+        });
+
+        // Backpressure: ask the browser to pause until the write stream drains
+        if (!flushed && !streamInfo.uploadsPaused) {
+          streamInfo.uploadsPaused = true;
+          console.warn(`Pausing uploads for ${streamKey} until the disk catches up`);
+          socket.emit('stream-pause', { streamKey, buffered: streamInfo.writeStream.writableLength });
+          emitViewerUpdate(userId, challengeNum, 'paused', { session: streamInfo.session, reason: 'backpressure' });
+          // The streamer may have reconnected on another socket by then
+          streamInfo.writeStream.once('drain', () => {
+            streamInfo.uploadsPaused = false;
+            console.log(`Resuming uploads for ${streamKey}`);
+            if (streamInfo.socketId) {
+              io.to(streamInfo.socketId).emit('stream-resume', { streamKey });
+              emitViewerUpdate(userId, challengeNum, 'resumed', { session: streamInfo.session });
+            }
+          });
+        }
+      };
+
+      // Hard limit for clients that ignore stream-pause: further chunks wait, in
+      // order, for the write stream to drain (refusing one would leave a hole in
+      // input.webm). Only when as much again is waiting are chunks refused.
+      if (streamInfo.heldChunks.length > 0 || streamInfo.writeStream.writableLength > MAX_BUFFERED_CHUNK_BYTES) {
+        if (streamInfo.heldBytes + buffer.length > MAX_BUFFERED_CHUNK_BYTES) {
+          console.warn(`Dropping chunk #${seq} for ${streamKey}: ${streamInfo.writeStream.writableLength + streamInfo.heldBytes} bytes already buffered`);
+          return acknowledge({ ok: false, seq, error: 'Server is busy, retry later' });
+        }
+        holdChunk(streamInfo, buffer.length, writeChunk);
+      } else {
+        writeChunk();
+      }
+      
+      // Start FFmpeg on first chunk (or after a few chunks)
+      if (!streamInfo.ffmpegStarted && !ffmpegProcesses.has(streamKey)) {
+        streamInfo.ffmpegStarted = true;
+        // Wait a bit to ensure we have valid WebM headers
+        setTimeout(() => {
+          // Stopped or replaced (a new start-stream) meanwhile: its own chunks start FFmpeg
+          if (activeStreams.get(streamKey) !== streamInfo || shuttingDown) {
+            return;
+          }
+          const sessionPath = streamInfo.sessionPath;
+          const inputFile = path.join(sessionPath, 'input.webm');
+          const outputPlaylist = path.join(sessionPath, 'playlist.m3u8');
+          
+          // Check if file exists and has some data
+          try {
+            const stats = fs.statSync(inputFile);
+            if (stats.size < 100) {
+              // File too small, wait a bit more
+              streamInfo.ffmpegStarted = false;
+              return;
+            }
+          } catch (e) {
+            // File doesn't exist yet
+            streamInfo.ffmpegStarted = false;
+            return;
+          }
+
+          const input = ffmpeg(inputFile)
+            .inputOptions([
+              '-fflags', '+genpts+discardcorrupt',
+              '-flags', 'low_delay',
+              '-strict', 'experimental',
+              '-analyzeduration', '1000000',
+              '-probesize', '1000000'
+            ]);
+          // One rolling playlist per rendition recorded for this session
+          const ffmpegProcess = addRenditionOutputs(input, getSessionRenditions(sessionPath), {
+            videoFilters: buildWatermarkFilters(userId, challengeNum, [
+              { session: streamInfo.session, startTime: streamInfo.startTime, offset: 0 }
+            ]),
+            encoderOptions: ['-preset', 'ultrafast', '-tune', 'zerolatency'],
+            hlsOptions: [
+              '-hls_list_size', '5',
+              // Segments are kept on disk so vod.m3u8 can reference every one of them
+              '-hls_flags', 'append_list',
+              '-hls_playlist_type', 'event',
+              '-start_number', '0'
+            ],
+            output: (rendition) => ({
+              playlist: path.join(rendition.dir, 'playlist.m3u8'),
+              segmentFilename: path.join(rendition.dir, 'segment_%03d.ts')
+            })
+          })
+            .on('start', (commandLine) => {
+              console.log(`FFmpeg started for ${streamKey}`);
+              streamInfo.ffmpegStartedAt = Date.now();
+            })
+            .on('progress', () => {
+              const segmentCount = syncSessionPlaylists(sessionPath);
+              if (segmentCount > streamInfo.segmentCount) {
+                streamInfo.segmentCount = segmentCount;
+                emitViewerUpdate(userId, challengeNum, 'segments', { session: streamInfo.session, segments: segmentCount });
+              }
+              // Tell viewers and webhook receivers once the session can be watched
+              if (!streamInfo.livePlaylistNotified && fs.existsSync(outputPlaylist)) {
+                streamInfo.livePlaylistNotified = true;
+                emitViewerUpdate(userId, challengeNum, 'live', {
+                  session: streamInfo.session,
+                  startTime: new Date(streamInfo.startTime).toISOString()
+                });
+                sendWebhook('stream.live', {
+                  userId,
+                  challengeNum,
+                  session: streamInfo.session,
+                  startedAt: new Date(streamInfo.startTime).toISOString(),
+                  latency: Math.round((Date.now() - streamInfo.startTime) / 1000),
+                  urls: getPlaybackUrls(userId, challengeNum)
+                });
+              }
+            })
+            .on('error', (err) => {
+              console.error(`FFmpeg error for ${streamKey}:`, err.message);
+              // Finalize the VOD playlist once the session has been stopped
+              syncSessionPlaylists(sessionPath, activeStreams.get(streamKey) !== streamInfo);
+              if (ffmpegProcesses.get(streamKey) === ffmpegProcess) {
+                ffmpegProcesses.delete(streamKey);
+              }
+              if (streamInfo) {
+                streamInfo.ffmpegStarted = false;
+              }
+              // Try to restart FFmpeg if it fails and this session is still active
+              if (activeStreams.get(streamKey) === streamInfo) {
+                setTimeout(() => {
+                  if (activeStreams.has(streamKey) && !ffmpegProcesses.has(streamKey)) {
+                    console.log(`Retrying FFmpeg for ${streamKey}`);
+                    metrics.liveFfmpegRestarts++;
+                    // Will retry on next chunk
+                    if (streamInfo) {
+                      streamInfo.ffmpegStarted = false;
+                    }
+                  }
+                }, 2000);
+              }
+            })
+            .on('end', () => {
+              console.log(`FFmpeg finished for ${streamKey}`);
+              if (ffmpegProcesses.get(streamKey) === ffmpegProcess) {
+                ffmpegProcesses.delete(streamKey);
+              }
+              syncSessionPlaylists(sessionPath, activeStreams.get(streamKey) !== streamInfo);
+            });
+
+          ffmpegProcess.run();
+          ffmpegProcesses.set(streamKey, ffmpegProcess);
+        }, 1000);
+      }
+    } else {
+      acknowledge({ ok: false, seq, error: 'No active stream' });
+    }
+  });
+
+  // Re-attach a streamer that lost its connection to the session it was
+  // streaming, within STREAM_RECONNECT_GRACE. The ack tells it which chunk the
+  // server expects next, so it uploads what it buffered and skips what arrived.
+  socket.on('resume-stream', (payload, ack) => {
+    const acknowledge = typeof ack === 'function' ? ack : () => {};
+    if (!authorizeSocketEvent(socket, 'resume-stream', payload)) {
+      return acknowledge({ ok: false, session: payload ? payload.session : undefined, error: 'Forbidden' });
+    }
+    const { userId, challengeNum, session } = payload;
+    const streamKey = getStreamKey(userId, challengeNum);
+    const streamInfo = activeStreams.get(streamKey);
+    if (shuttingDown || !streamInfo || streamInfo.session !== session) {
+      return acknowledge({ ok: false, session, error: 'Session ended' });
+    }
+
+    clearTimeout(streamInfo.reconnectTimer);
+    streamInfo.reconnectTimer = null;
+    const wasDisconnected = !streamInfo.socketId;
+    streamInfo.socketId = socket.id;
+    socket.join(streamKey);
+    metrics.streamReconnects++;
+    if (wasDisconnected) {
+      console.log(`Streamer of ${streamKey} reconnected after ${Math.round((Date.now() - streamInfo.disconnectedAt) / 1000)}s, expecting chunk #${streamInfo.nextSeq}`);
+      if (!streamInfo.uploadsPaused) {
+        emitViewerUpdate(userId, challengeNum, 'resumed', { session });
+      }
+    } else {
+      console.log(`Streamer of ${streamKey} moved to socket ${socket.id}, expecting chunk #${streamInfo.nextSeq}`);
+    }
+    streamInfo.disconnectedAt = null;
+    if (streamInfo.uploadsPaused) {
+      socket.emit('stream-pause', { streamKey, buffered: streamInfo.writeStream.writableLength });
+    }
+    acknowledge({ ok: true, session, nextSeq: streamInfo.nextSeq });
+    emitViewerCount(streamKey);
+  });
+
+  // Follow progress of a timelapse job (on any node of the cluster) via 'timelapse-job' events
+  socket.on('subscribe-job', async (payload) => {
+    const invalid = validateEventPayload(payload);
+    if (invalid) {
+      return socket.emit('job-error', invalid);
+    }
+    const { jobId } = payload;
+    const job = await findTimelapseJob(jobId);
+    if (!job) {
+      return socket.emit('job-error', { error: 'Job not found', jobId });
+    }
+    if (WATCH_REQUIRE_TOKEN && !tokenMatches(socket.data, job.userId, job.challengeNum)) {
+      return socket.emit('job-error', { error: 'Forbidden', jobId });
+    }
+    socket.join(`job:${job.id}`);
+    socket.emit('timelapse-job', job);
+  });
+
+  socket.on('unsubscribe-job', (payload) => {
+    if (validateEventPayload(payload)) {
+      return;
+    }
+    socket.leave(`job:${payload.jobId}`);
+  });
+
+  // Follow a stream key as a viewer via 'stream-update' events; the current
+  // state is sent right away as a 'status' update
+  socket.on('watch-stream', (payload) => {
+    const invalid = validateStreamKeyPayload(payload);
+    if (invalid) {
+      return socket.emit('watch-error', invalid);
+    }
+    const { userId, challengeNum } = payload;
+    if (WATCH_REQUIRE_TOKEN && !tokenMatches(socket.data, userId, challengeNum)) {
+      return socket.emit('watch-error', { error: 'Forbidden', userId, challengeNum });
+    }
+    const streamKey = getStreamKey(userId, challengeNum);
+    socket.join(getViewerRoom(streamKey));
+    getLiveStatus(userId, challengeNum).then((status) => socket.emit('stream-update', { type: 'status', ...status }));
+    emitViewerCount(streamKey);
+  });
+
+  socket.on('unwatch-stream', (payload) => {
+    if (validateStreamKeyPayload(payload)) {
+      return;
+    }
+    const { userId, challengeNum } = payload;
+    const streamKey = getStreamKey(userId, challengeNum);
+    socket.leave(getViewerRoom(streamKey));
+    emitViewerCount(streamKey);
+  });
+
+  // Update viewer counts once this socket has left its rooms
+  socket.on('disconnecting', () => {
+    const watched = [...socket.rooms]
+      .filter((room) => room.startsWith('viewers:'))
+      .map((room) => room.slice('viewers:'.length));
+    setImmediate(() => watched.forEach(emitViewerCount));
+  });
+
+  socket.on('stop-stream', (payload) => {
+    if (!authorizeSocketEvent(socket, 'stop-stream', payload)) {
+      return;
+    }
+    const { userId, challengeNum } = payload;
+    const streamKey = getStreamKey(userId, challengeNum);
+    console.log(`Stopping stream: ${streamKey}`);
+
+    // The stream may be running on another node of the cluster
+    if (cluster && !activeStreams.has(streamKey)) {
+      io.serverSideEmit('stop-stream', streamKey, 'stopped');
+    }
+    stopStream(streamKey);
+    socket.leave(streamKey);
+    socket.emit('stream-stopped');
+  });
+
+  socket.on('disconnect', () => {
+    console.log('Client disconnected:', socket.id);
+    // Streams of this socket wait for their streamer to reconnect
+    for (const [streamKey, streamInfo] of activeStreams.entries()) {
+      if (streamInfo.socketId === socket.id) {
+        waitForReconnect(streamKey, streamInfo);
+      }
+    }
+  });
+});
+
+// Helper function to escape a value for HTML text or a quoted attribute
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Helper function to turn a value into a JS string literal that is safe inside
+// an inline <script> (no way to close the tag or break out of the string)
+function toScriptString(value) {
+  return JSON.stringify(String(value))
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+// Endpoint to get stream page (for screen sharing)
+app.get('/stream/:userId/:challengeNum', routeToOwner, requireToken, (req, res) => {
+  const { userId, challengeNum } = req.params;
+  const streamKey = getStreamKey(userId, challengeNum);
+  const token = getRequestToken(req);
+  const watchQuery = WATCH_REQUIRE_TOKEN ? `?token=${encodeURIComponent(token)}` : '';
+  const watchPath = `/watch/${encodeURIComponent(userId)}/${encodeURIComponent(challengeNum)}`;
+  
+  // Serve HTML page for screen sharing. Every interpolated value is escaped
+  // for where it lands (HTML text and attributes, or a JS string literal).
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>Stream - ${escapeHtml(streamKey)}</title>
+  <script src="${escapeHtml(`${getProtocol(req)}://${req.get('host')}`)}/socket.io/socket.io.js"></script>
+  <style>
+    body {
+      font-family: Arial, sans-serif;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 20px;
+      background: #1a1a1a;
+      color: #fff;
+    }
+    .container {
+      background: #2a2a2a;
+      padding: 20px;
+      border-radius: 8px;
+    }
+    button {
+      background: #4CAF50;
+      color: white;
+      border: none;
+      padding: 12px 24px;
+      font-size: 16px;
+      border-radius: 4px;
+      cursor: pointer;
+      margin: 10px 5px;
+    }
+    button:hover {
+      background: #45a049;
+    }
+    button:disabled {
+      background: #666;
+      cursor: not-allowed;
+    }
+    button.stop {
+      background: #f44336;
+    }
+    button.stop:hover {
+      background: #da190b;
+    }
+    #video {
+      width: 100%;
+      max-width: 800px;
+      border-radius: 8px;
+      background: #000;
+      margin: 20px 0;
+    }
+    .status {
+      padding: 10px;
+      margin: 10px 0;
+      border-radius: 4px;
+      background: #333;
+    }
+    .status.connected {
+      background: #4CAF50;
+    }
+    .status.error {
+      background: #f44336;
+    }
+    .status.warning {
+      background: #ff9800;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>Stream: ${escapeHtml(streamKey)}</h1>
+    <div id="status" class="status">Ready to start streaming</div>
+    <div>
+      <button id="startBtn" onclick="startStream()">Start Screen Share</button>
+      <button id="stopBtn" class="stop" onclick="stopStream()" disabled>Stop Streaming</button>
+    </div>
+    <video id="video" autoplay muted></video>
+    <div>
+      <p>Stream URL: <code>${escapeHtml(streamKey)}</code></p>
+      <p>Viewers: <span id="viewerCount">0</span></p>
+      <p>Watch URL: <a href="${escapeHtml(watchPath + watchQuery)}" target="_blank">${escapeHtml(watchPath)}</a></p>
+    </div>
+  </div>
+
+  <script>
+    // Connect to Socket.io server with the stream token from the page URL
+    const token = ${toScriptString(token)};
+    const socket = io(window.location.origin, { auth: { token } });
+    const userId = ${toScriptString(userId)};
+    const challengeNum = ${toScriptString(challengeNum)};
+    const streamKey = ${toScriptString(streamKey)};
+    let localStream = null;
+    let mediaRecorder = null;
+    let isStreaming = false;
+    let chunkSeq = 0;
+
+    // Session the recorder writes to, kept until its last chunk is uploaded so
+    // the page can re-attach to it (resume-stream) after losing the connection.
+    // While detached, chunks are spooled instead of sent.
+    let currentSession = null;
+    let attached = false;
+    // Session left over by an earlier visit of the page, resumed only to upload its chunks
+    let recoveredSession = null;
+    // Chunks before this one had already reached the server when it re-attached
+    let resumeFromSeq = 0;
+
+    // Acknowledged upload window: at most MAX_IN_FLIGHT chunks are sent without
+    // an ack, the rest wait in pendingChunks (also while the server asks to pause)
+    const MAX_IN_FLIGHT = 4;
+    const ACK_TIMEOUT_MS = 15000;
+    let pendingChunks = [];
+    let inFlight = 0;
+    let converting = 0;
+    let uploadsPaused = false;
+    let failedChunks = 0;
+    let streamingMessage = '';
+
+    // Chunks recorded while disconnected are spooled to IndexedDB (or memory if
+    // it is unavailable) under [streamKey, session, seq], so they are read back
+    // in order. Until the spool is empty again every new chunk goes through it.
+    const spool = openSpool();
+    let memorySpool = [];
+    let spooledChunks = 0;
+    let loadingSpool = false;
+
+    const video = document.getElementById('video');
+    const startBtn = document.getElementById('startBtn');
+    const stopBtn = document.getElementById('stopBtn');
+    const status = document.getElementById('status');
+
+    function updateStatus(message, type = '') {
+      status.textContent = message;
+      status.className = 'status ' + type;
+    }
+
+    // Show the user when uploads are falling behind, waiting for the connection
+    // or chunks were lost
+    function updateUploadStatus() {
+      if (currentSession === null) {
+        return;
+      }
+      const waiting = pendingChunks.length + inFlight + spooledChunks;
+      if (!attached) {
+        updateStatus('Connection lost. ' + (isStreaming ? 'Recording continues, ' : '') + waiting +
+          ' chunk(s) are kept in this browser and will be uploaded once reconnected. Keep this page open.', 'warning');
+      } else if (failedChunks > 0) {
+        updateStatus('Warning: ' + failedChunks + ' chunk(s) could not be saved. ' +
+          waiting + ' chunk(s) waiting to upload.', 'error');
+      } else if (spooledChunks > 0) {
+        updateStatus('Reconnected. Uploading ' + waiting + ' chunk(s) recorded while offline. Keep this page open.', 'warning');
+      } else if (uploadsPaused || pendingChunks.length > 0) {
+        updateStatus('Uploads are falling behind: ' + waiting +
+          ' chunk(s) waiting to upload. Keep this page open.', 'warning');
+      } else if (isStreaming) {
+        updateStatus(streamingMessage, 'connected');
+      }
+    }
+
+    function openSpool() {
+      return new Promise((resolve) => {
+        if (!window.indexedDB) {
+          return resolve(null);
+        }
+        const request = indexedDB.open('outback-stream-spool', 1);
+        request.onupgradeneeded = () => request.result.createObjectStore('chunks');
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(null);
+      });
+    }
+
+    function spoolChunk(session, seq, buffer) {
+      spooledChunks++;
+      spool.then((db) => {
+        if (!db) {
+          memorySpool.push({ session, seq, buffer });
+          memorySpool.sort((a, b) => a.seq - b.seq);
+          return;
+        }
+        const transaction = db.transaction('chunks', 'readwrite');
+        transaction.objectStore('chunks').put(buffer, [streamKey, session, seq]);
+        transaction.onerror = () => {
+          // E.g. the browser's storage quota is used up
+          console.error('Chunk #' + seq + ' could not be kept for upload:', transaction.error);
+          if (session === currentSession) {
+            spooledChunks--;
+            failedChunks++;
+            updateUploadStatus();
+          }
+        };
+      });
+      updateUploadStatus();
+    }
+
+    // Take the next few spooled chunks of the session out of the spool, in order
+    function readSpool(session, count) {
+      return spool.then((db) => {
+        if (!db) {
+          return memorySpool.splice(0, count);
+        }
+        return new Promise((resolve, reject) => {
+          const chunks = [];
+          const transaction = db.transaction('chunks', 'readwrite');
+          const range = IDBKeyRange.bound([streamKey, session, 0], [streamKey, session, Infinity]);
+          const request = transaction.objectStore('chunks').openCursor(range);
+          request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor && chunks.length < count) {
+              chunks.push({ seq: cursor.key[2], buffer: cursor.value });
+              cursor.delete();
+              cursor.continue();
+            }
+          };
+          transaction.oncomplete = () => resolve(chunks);
+          transaction.onerror = () => reject(transaction.error);
+        });
+      });
+    }
+
+    // Drop the spooled chunks of a session. Callers report how many were lost.
+    function clearSpool(session) {
+      memorySpool = memorySpool.filter((chunk) => chunk.session !== session);
+      if (session === currentSession) {
+        spooledChunks = 0;
+      }
+      spool.then((db) => {
+        if (db) {
+          db.transaction('chunks', 'readwrite').objectStore('chunks')
+            .delete(IDBKeyRange.bound([streamKey, session, 0], [streamKey, session, Infinity]));
+        }
+      });
+    }
+
+    // Count the chunks of this stream key left in the spool by an earlier visit
+    // of the page (closed or reloaded before they were uploaded), per session
+    function readLeftoverSessions() {
+      return spool.then((db) => {
+        if (!db) {
+          return new Map();
+        }
+        return new Promise((resolve) => {
+          const request = db.transaction('chunks', 'readonly').objectStore('chunks')
+            .getAllKeys(IDBKeyRange.bound([streamKey], [streamKey, []]));
+          request.onsuccess = () => {
+            const sessions = new Map();
+            for (const key of request.result) {
+              sessions.set(key[1], (sessions.get(key[1]) || 0) + 1);
+            }
+            resolve(sessions);
+          };
+          request.onerror = () => resolve(new Map());
+        });
+      });
+    }
+
+    function loadSpooledChunks() {
+      const session = currentSession;
+      loadingSpool = true;
+      readSpool(session, MAX_IN_FLIGHT * 2).then((chunks) => {
+        loadingSpool = false;
+        if (session !== currentSession) {
+          return;
+        }
+        spooledChunks -= chunks.length;
+        for (const chunk of chunks) {
+          if (!attached) {
+            // Lost the connection again while reading: back into the spool
+            spoolChunk(session, chunk.seq, chunk.buffer);
+          } else if (chunk.seq >= resumeFromSeq) {
+            pendingChunks.push(chunk);
+          }
+        }
+        sendPendingChunks();
+      }).catch((err) => {
+        loadingSpool = false;
+        console.error('Could not read the chunks kept for upload:', err);
+        if (session === currentSession) {
+          failedChunks += spooledChunks;
+          spooledChunks = 0;
+          updateUploadStatus();
+        }
+      });
+    }
+
+    function queueChunk(seq, buffer) {
+      if (!attached || spooledChunks > 0) {
+        spoolChunk(currentSession, seq, buffer);
+      } else {
+        pendingChunks.push({ seq, buffer });
+      }
+      sendPendingChunks();
+    }
+
+    function sendPendingChunks() {
+      while (attached && !uploadsPaused && inFlight < MAX_IN_FLIGHT && pendingChunks.length > 0) {
+        const { seq, buffer } = pendingChunks.shift();
+        const session = currentSession;
+        inFlight++;
+        socket.timeout(ACK_TIMEOUT_MS).emit('stream-chunk', {
+          userId,
+          challengeNum,
+          seq,
+          chunk: buffer
+        }, (err, response) => {
+          inFlight--;
+          if (err && !attached && session === currentSession) {
+            // Lost with the connection: upload it again once re-attached (it is
+            // skipped then if the server did get it)
+            spoolChunk(session, seq, buffer);
+          } else if (err || !response || !response.ok) {
+            failedChunks++;
+            console.error('Chunk #' + seq + ' was not saved:', err ? err.message : response && response.error);
+          }
+          sendPendingChunks();
+        });
+      }
+      if (attached && !loadingSpool && pendingChunks.length === 0 && spooledChunks > 0) {
+        loadSpooledChunks();
+      }
+      updateUploadStatus();
+    }
+
+    // Wait until every recorded chunk has been acknowledged, giving up after a
+    // limit while connected (spooled chunks wait for as long as it takes)
+    function whenUploadsSettled(callback, waitedMs = 0) {
+      const settled = converting === 0 && pendingChunks.length === 0 && inFlight === 0 && spooledChunks === 0;
+      if (settled || waitedMs >= ACK_TIMEOUT_MS) {
+        return callback();
+      }
+      setTimeout(() => whenUploadsSettled(callback, attached ? waitedMs + 100 : waitedMs), 100);
+    }
+
+    // The session is over: nothing left to re-attach to or upload
+    function finishSession() {
+      clearSpool(currentSession);
+      currentSession = null;
+      recoveredSession = null;
+      attached = false;
+      pendingChunks = [];
+    }
+
+    // Upload chunks an earlier visit of the page left in the spool. The server
+    // holds a session open for a while after its streamer disconnects, so the
+    // latest one can be resumed and stopped once its chunks are in; chunks of
+    // older sessions, or of one the server has closed, are dropped with a warning.
+    function recoverLeftoverChunks() {
+      readLeftoverSessions().then((sessions) => {
+        if (sessions.size === 0 || currentSession !== null) {
+          return;
+        }
+        const session = Math.max(...sessions.keys());
+        let dropped = 0;
+        for (const [oldSession, count] of sessions) {
+          if (oldSession !== session) {
+            dropped += count;
+            clearSpool(oldSession);
+          }
+        }
+        if (dropped > 0) {
+          console.warn('Dropped ' + dropped + ' chunk(s) of earlier sessions that were never uploaded');
+        }
+        currentSession = session;
+        recoveredSession = session;
+        attached = false;
+        spooledChunks = sessions.get(session);
+        startBtn.disabled = true;
+        updateStatus('Found ' + spooledChunks + ' chunk(s) of session ' + session + ' that were not uploaded before this page was closed' +
+          (dropped > 0 ? ' (' + dropped + ' older chunk(s) could not be recovered)' : '') + '. Uploading them...', 'warning');
+        if (socket.connected) {
+          resumeSession();
+        }
+      });
+    }
+
+    // The recovered session has been resumed: stop it once its chunks are uploaded
+    function finishRecoveredSession() {
+      const session = currentSession;
+      whenUploadsSettled(() => {
+        if (session !== currentSession) {
+          return;
+        }
+        const lost = pendingChunks.length + spooledChunks + failedChunks;
+        finishSession();
+        // Replaces the status the stream-stopped handler sets
+        socket.once('stream-stopped', () => {
+          if (lost > 0) {
+            updateStatus('Warning: ' + lost + ' chunk(s) left over from session ' + session + ' could not be uploaded.', 'error');
+          } else {
+            updateStatus('Uploaded the chunks left over from session ' + session + '. Ready to start streaming', 'connected');
+          }
+        });
+        socket.emit('stop-stream', { userId, challengeNum });
+      });
+    }
+
+    // Re-attach to the session after a reconnect. If the server has closed it in
+    // the meantime (it waited too long, or restarted), the chunks kept here
+    // can't be appended any more; a running recording continues in a new session.
+    function resumeSession() {
+      const session = currentSession;
+      updateStatus('Reconnected. Resuming session ' + session + '...', 'warning');
+      socket.timeout(ACK_TIMEOUT_MS).emit('resume-stream', { userId, challengeNum, session }, (err, response) => {
+        if (session !== currentSession || attached) {
+          return;
+        }
+        if (err) {
+          // Not answered in time: try again, unless the next connect will
+          if (socket.connected) {
+            resumeSession();
+          }
+          return;
+        }
+        if (!response.ok) {
+          const lost = pendingChunks.length + spooledChunks;
+          console.warn('Could not resume session ' + session + ': ' + response.error);
+          finishSession();
+          if (isStreaming && localStream) {
+            // Begin a new session with a new recorder, whose first chunk carries
+            // the WebM header again
+            mediaRecorder.ondataavailable = null;
+            mediaRecorder.onstop = null;
+            mediaRecorder.stop();
+            mediaRecorder = null;
+            streamingMessage = 'Reconnected too late: ' + lost + ' chunk(s) recorded while offline were lost. Recording continues in a new session.';
+            socket.emit('start-stream', { userId, challengeNum });
+          } else {
+            startBtn.disabled = isStreaming;
+            updateStatus('Reconnected too late: ' + lost + ' chunk(s) recorded while offline could not be uploaded.', 'error');
+          }
+          return;
+        }
+        attached = true;
+        resumeFromSeq = response.nextSeq;
+        sendPendingChunks();
+        if (session === recoveredSession) {
+          finishRecoveredSession();
+        }
+      });
+    }
+
+    socket.on('stream-pause', () => {
+      uploadsPaused = true;
+      updateUploadStatus();
+    });
+
+    socket.on('stream-resume', () => {
+      uploadsPaused = false;
+      sendPendingChunks();
+    });
+
+    socket.on('viewer-count', ({ viewers }) => {
+      document.getElementById('viewerCount').textContent = viewers;
+    });
+
+    // The server is restarting and has already closed this session: stop
+    // recording without sending stop-stream, and say when it is back
+    let serverRestarting = false;
+    socket.on('server-shutdown', ({ message }) => {
+      serverRestarting = true;
+      if (mediaRecorder) {
+        mediaRecorder.ondataavailable = null;
+        mediaRecorder.onstop = null;
+      }
+      finishSession();
+      cleanup();
+      updateStatus(message, 'warning');
+    });
+
+    // Keep recording while the connection is down; the server holds the
+    // session open for a while (see resumeSession)
+    socket.on('disconnect', () => {
+      if (currentSession === null) {
+        return;
+      }
+      attached = false;
+      uploadsPaused = false;
+      // Chunks in flight come back through their failed acks
+      pendingChunks.splice(0).forEach(({ seq, buffer }) => spoolChunk(currentSession, seq, buffer));
+      updateUploadStatus();
+    });
+
+    socket.on('connect', () => {
+      if (serverRestarting) {
+        serverRestarting = false;
+        updateStatus('The server is back. Click Start Screen Share to continue recording.', 'connected');
+      } else if (currentSession !== null && !attached) {
+        resumeSession();
+      }
+    });
+
+    async function startStream() {
+      try {
+        updateStatus('Requesting screen share...', '');
+        startBtn.disabled = true;
+
+        // Get screen share
+        localStream = await navigator.mediaDevices.getDisplayMedia({
+          video: {
+            mediaSource: 'screen',
+            width: { ideal: 1920 },
+            height: { ideal: 1080 }
+          },
+          audio: true
+        });
+
+        video.srcObject = localStream;
+        updateStatus('Screen share active. Starting recording...', '');
+
+        // Start stream on server, which answers with stream-ready
+        streamingMessage = '';
+        socket.emit('start-stream', { userId, challengeNum });
+
+        // Handle stream end (user stops sharing)
+        localStream.getVideoTracks()[0].onended = () => {
+          stopStream();
+        };
+
+      } catch (error) {
+        console.error('Error starting stream:', error);
+        updateStatus('Error: ' + error.message, 'error');
+        startBtn.disabled = false;
+        cleanup();
+      }
+    }
+
+    // Wait for server to be ready, then record into the session it opened
+    socket.on('stream-ready', ({ session, resumed }) => {
+      if (!localStream) {
+        return;
+      }
+      try {
+        // Create MediaRecorder
+        const options = {
+          mimeType: 'video/webm;codecs=vp8,opus',
+          videoBitsPerSecond: 2500000
+        };
+
+        if (!MediaRecorder.isTypeSupported(options.mimeType)) {
+          options.mimeType = 'video/webm';
+        }
+
+        mediaRecorder = new MediaRecorder(localStream, options);
+
+        // Chunks of a previous session still waiting to upload can't follow it
+        // into the new one
+        let droppedMessage = '';
+        if (currentSession !== null) {
+          const dropped = pendingChunks.length + spooledChunks;
+          if (dropped > 0) {
+            droppedMessage = 'Warning: ' + dropped + ' chunk(s) of the previous session could not be uploaded. ';
+          }
+          finishSession();
+        }
+
+        // Handle data available
+        currentSession = session;
+        attached = true;
+        resumeFromSeq = 0;
+        chunkSeq = 0;
+        pendingChunks = [];
+        failedChunks = 0;
+        mediaRecorder.ondataavailable = (event) => {
+          if (event.data && event.data.size > 0) {
+            // Number chunks as they are produced so the server can spot gaps
+            // and reorders, then queue them for acknowledged binary upload
+            const seq = chunkSeq++;
+            converting++;
+            event.data.arrayBuffer().then((buffer) => {
+              converting--;
+              if (currentSession === session) {
+                queueChunk(seq, buffer);
+              }
+            });
+          }
+        };
+
+        // Handle stop: upload what is still queued or spooled before ending the stream
+        mediaRecorder.onstop = () => {
+          whenUploadsSettled(() => {
+            if (currentSession !== session) {
+              return;
+            }
+            socket.emit('stop-stream', { userId, challengeNum });
+            finishSession();
+          });
+        };
+
+        // Start recording with 1 second chunks
+        mediaRecorder.start(1000);
+        streamingMessage = droppedMessage + (streamingMessage || (resumed
+          ? 'Streaming active! Resuming recording (session ' + session + ')...'
+          : 'Streaming active! Recording...'));
+        updateStatus(streamingMessage, 'connected');
+        isStreaming = true;
+        stopBtn.disabled = false;
+      } catch (error) {
+        console.error('Error starting MediaRecorder:', error);
+        updateStatus('Error: ' + error.message, 'error');
+        cleanup();
+      }
+    });
+
+    // Handle requests rejected by the server
+    socket.on('stream-error', ({ message }) => {
+      updateStatus('Error: ' + message, 'error');
+      cleanup();
+    });
+
+    // Handle stream stopped from server
+    socket.on('stream-stopped', () => {
+      updateStatus('Stream stopped', '');
+      cleanup();
+    });
+
+    function stopStream() {
+      if (mediaRecorder && mediaRecorder.state !== 'inactive') {
+        // onstop sends stop-stream once the remaining chunks are uploaded
+        mediaRecorder.stop();
+      } else if (isStreaming) {
+        socket.emit('stop-stream', { userId, challengeNum });
+        finishSession();
+      }
+      cleanup();
+    }
+
+    function cleanup() {
+      if (localStream) {
+        localStream.getTracks().forEach(track => track.stop());
+        localStream = null;
+      }
+      if (mediaRecorder && mediaRecorder.state !== 'inactive') {
+        mediaRecorder.stop();
+        mediaRecorder = null;
+      }
+      isStreaming = false;
+      startBtn.disabled = false;
+      stopBtn.disabled = true;
+      video.srcObject = null;
+    }
+
+    // Handle rejected or expired tokens
+    socket.on('connect_error', (error) => {
+      updateStatus('Error: ' + error.message, 'error');
+    });
+
+    // Cleanup on page unload
+    window.addEventListener('beforeunload', cleanup);
+
+    recoverLeftoverChunks();
+  </script>
+</body>
+</html>
+  `;
+  
+  res.send(html);
+});
+
+// Helper function to check whether a watch request should get the player page
+// instead of the playlist: browsers ask for text/html, API clients and players
+// accept */* and get the m3u8. ?format=html or ?format=m3u8 overrides this.
+function wantsPlayerPage(req) {
+  if (req.query.format === 'm3u8') {
+    return false;
+  }
+  if (req.query.format === 'html') {
+    return true;
+  }
+  return req.accepts(['application/vnd.apple.mpegurl', 'html']) === 'html';
+}
+
+// Helper function to render the HTML5 player page for /watch and /timelapse.
+// The page reads userId/challengeNum from its own URL and requests the same
+// endpoints with ?format=m3u8 for the playlists.
+function renderPlayerPage(view) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>Watch</title>
+  <script src="/hls.js"></script>
+  <script src="/socket.io/socket.io.js"></script>
+  <style>
+    body {
+      font-family: Arial, sans-serif;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 20px;
+      background: #1a1a1a;
+      color: #fff;
+    }
+    .container {
+      background: #2a2a2a;
+      padding: 20px;
+      border-radius: 8px;
+    }
+    button {
+      background: #444;
+      color: white;
+      border: none;
+      padding: 12px 24px;
+      font-size: 16px;
       border-radius: 4px;
       cursor: pointer;
-      margin: 10px 5px;
+      margin: 10px 5px 10px 0;
+    }
+    button:hover {
+      background: #555;
+    }
+    button.active {
+      background: #4CAF50;
+    }
+    #video {
+      width: 100%;
+      border-radius: 8px;
+      background: #000;
+      margin: 20px 0;
+    }
+    .status {
+      padding: 10px;
+      margin: 10px 0;
+      border-radius: 4px;
+      background: #333;
+    }
+    .status.live {
+      background: #f44336;
+    }
+    .status.connected {
+      background: #4CAF50;
+    }
+    .status.error {
+      background: #f44336;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1 id="heading">Recording</h1>
+    <div>
+      <button id="watchBtn" onclick="switchView('watch')">Recording</button>
+      <button id="timelapseBtn" onclick="switchView('timelapse')">Timelapse</button>
+    </div>
+    <div id="status" class="status">Loading...</div>
+    <video id="video" controls autoplay muted playsinline></video>
+  </div>
+
+  <script>
+    const parts = window.location.pathname.split('/');
+    const userId = decodeURIComponent(parts[2] || '');
+    const challengeNum = decodeURIComponent(parts[3] || '');
+    const pageParams = new URLSearchParams(window.location.search);
+    pageParams.delete('format');
+
+    const video = document.getElementById('video');
+    const status = document.getElementById('status');
+    let view = '${view}';
+    let hls = null;
+    let pollTimer = null;
+    let waitingForJob = false;
+
+    document.getElementById('heading').textContent = userId + ' / Challenge ' + challengeNum;
+    document.title = 'Watch ' + userId + ' / ' + challengeNum;
+
+    function updateStatus(message, type = '') {
+      status.textContent = message;
+      status.className = 'status ' + type;
+    }
+
+    // Only the timelapse view understands speed/duration/etc., both pass the token
+    function getParams(forView) {
+      const params = new URLSearchParams(forView === 'timelapse' ? pageParams : '');
+      if (pageParams.has('token')) {
+        params.set('token', pageParams.get('token'));
+      }
+      return params;
+    }
+
+    function getPageUrl(forView) {
+      const query = getParams(forView).toString();
+      return '/' + forView + '/' + encodeURIComponent(userId) + '/' + encodeURIComponent(challengeNum) +
+        (query ? '?' + query : '');
+    }
+
+    function getPlaylistUrl(forView) {
+      const params = getParams(forView);
+      params.set('format', 'm3u8');
+      return '/' + forView + '/' + encodeURIComponent(userId) + '/' + encodeURIComponent(challengeNum) + '?' + params;
+    }
+
+    function schedule(fn, delay) {
+      clearTimeout(pollTimer);
+      pollTimer = setTimeout(fn, delay);
+    }
+
+    function attach(url) {
+      if (hls) {
+        hls.destroy();
+        hls = null;
+      }
+      if (window.Hls && Hls.isSupported()) {
+        hls = new Hls();
+        hls.loadSource(url);
+        hls.attachMedia(video);
+      } else if (video.canPlayType('application/vnd.apple.mpegurl')) {
+        video.src = url;
+      } else {
+        updateStatus('This browser cannot play HLS video', 'error');
+      }
+    }
+
+    async function load() {
+      const url = getPlaylistUrl(view);
+      const loadingView = view;
+      waitingForJob = false;
+      let response;
+      try {
+        response = await fetch(url, { cache: 'no-store' });
+      } catch (error) {
+        updateStatus('Connection problem, retrying...', 'error');
+        return schedule(load, 5000);
+      }
+      if (loadingView !== view) {
+        return;
+      }
+
+      if (response.status === 404) {
+        updateStatus('No recording yet. Waiting for the stream to start...', '');
+        return schedule(load, 5000);
+      }
+      if (response.status === 202) {
+        const { jobId } = await response.json();
+        waitingForJob = true;
+        return followJob(jobId);
+      }
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        return updateStatus('Error: ' + (body.message || response.statusText), 'error');
+      }
+
+      const playlist = await response.text();
+      const live = view === 'watch' && !playlist.includes('#EXT-X-ENDLIST');
+      attach(url);
+      if (live) {
+        updateStatus('LIVE', 'live');
+        watchForEnd(url);
+      } else {
+        updateStatus(view === 'timelapse' ? 'Timelapse' : 'Full recording', 'connected');
+      }
+    }
+
+    // While live, check the playlist now and then: once the stream stops,
+    // /watch serves the complete VOD playlist and the player switches to it
+    function watchForEnd(url) {
+      schedule(async () => {
+        try {
+          const response = await fetch(url, { cache: 'no-store' });
+          const playlist = response.ok ? await response.text() : '';
+          if (playlist.includes('#EXT-X-ENDLIST')) {
+            updateStatus('Stream ended. Loading full recording...', '');
+            return load();
+          }
+        } catch (error) {
+          // Keep watching, the next check may succeed
+        }
+        watchForEnd(url);
+      }, 10000);
+    }
+
+    // Poll a timelapse job until the timelapse is ready
+    function followJob(jobId) {
+      schedule(async () => {
+        const params = getParams('watch');
+        const query = params.toString();
+        try {
+          const response = await fetch('/jobs/' + jobId + (query ? '?' + query : ''), { cache: 'no-store' });
+          const job = await response.json();
+          if (job.state === 'completed') {
+            return load();
+          }
+          if (job.state === 'failed') {
+            return updateStatus('Timelapse generation failed: ' + job.error, 'error');
+          }
+          updateStatus('Generating timelapse... ' + Math.floor(job.percent || 0) + '%' +
+            (job.eta ? ' (about ' + job.eta + 's left)' : ''), '');
+        } catch (error) {
+          updateStatus('Generating timelapse...', '');
+        }
+        followJob(jobId);
+      }, 2000);
+    }
+
+    // Live updates for this stream key, so the page reacts without waiting for
+    // its next poll. Polling stays in place in case the socket can't connect.
+    if (window.io) {
+      const socket = io(window.location.origin, pageParams.has('token') ? { auth: { token: pageParams.get('token') } } : {});
+      socket.on('connect', () => socket.emit('watch-stream', { userId, challengeNum }));
+      socket.on('stream-update', (update) => {
+        if (update.type === 'live' && view === 'watch') {
+          load();
+        } else if (update.type === 'paused' && view === 'watch') {
+          updateStatus(update.reason === 'reconnecting'
+            ? 'LIVE (the streamer lost their connection, waiting for them to reconnect...)'
+            : 'LIVE (stream paused, waiting for the streamer...)', 'live');
+        } else if (update.type === 'resumed' && view === 'watch') {
+          updateStatus('LIVE', 'live');
+        } else if (update.type === 'stopped' && view === 'watch') {
+          // Give FFmpeg a moment to finish the last segment
+          updateStatus('Stream ended. Loading full recording...', '');
+          schedule(load, 3000);
+        } else if (update.type === 'timelapse-ready' && view === 'timelapse' && waitingForJob) {
+          load();
+        }
+      });
+    }
+
+    function switchView(newView) {
+      view = newView;
+      history.replaceState(null, '', getPageUrl(view));
+      document.getElementById('watchBtn').className = view === 'watch' ? 'active' : '';
+      document.getElementById('timelapseBtn').className = view === 'timelapse' ? 'active' : '';
+      clearTimeout(pollTimer);
+      updateStatus('Loading...', '');
+      load();
+    }
+
+    switchView(view);
+  </script>
+</body>
+</html>
+  `;
+}
+
+// Serve hls.js for the player page
+app.get('/hls.js', (req, res) => {
+  res.sendFile(require.resolve('hls.js/dist/hls.min.js'));
+});
+
+// Helper to get the correct protocol (handles reverse proxies)
+function getProtocol(req) {
+  // Check for X-Forwarded-Proto header (set by reverse proxies like Coolify)
+  const forwardedProto = req.get('x-forwarded-proto');
+  if (forwardedProto) {
+    return forwardedProto.split(',')[0].trim();
+  }
+  // Check if connection is secure
+  return req.secure ? 'https' : req.protocol;
+}
+
+// Endpoint to watch recorded stream - returns HLS playlist as API, or the
+// player page to browsers
+app.get('/watch/:userId/:challengeNum', routeToOwner, requireWatchToken, (req, res) => {
+  const { userId, challengeNum } = req.params;
+  res.vary('Accept');
+  if (wantsPlayerPage(req)) {
+    return res.send(renderPlayerPage('watch'));
+  }
+  const streamInfo = activeStreams.get(getStreamKey(userId, challengeNum));
+  const baseUrl = getRecordingBaseUrl(req, userId, challengeNum);
+  const { rendition } = req.query;
+  let sessions = getSessions(userId, challengeNum);
+  let playlistNames;
+
+  if (streamInfo) {
+    // Live: serve the low-latency rolling playlist of the current session
+    sessions = sessions.filter((session) => session.number === streamInfo.session);
+    playlistNames = ['playlist.m3u8'];
+  } else {
+    // Finished: stitch every session's complete VOD playlist into one recording
+    // (recordings from before VOD playlists existed fall back to playlist.m3u8)
+    playlistNames = ['vod.m3u8', 'playlist.m3u8'];
+  }
+
+  const renditions = getSessionsRenditions(sessions);
+  if (rendition !== undefined && !renditions.some((candidate) => candidate.name === rendition)) {
+    return res.status(404).json({
+      error: 'Rendition not found',
+      message: `No ${rendition} rendition found for ${userId}/${challengeNum}`,
+      userId,
+      challengeNum
+    });
+  }
+
+  // Without a rendition, this is the highest one (or the only one)
+  const renditionSessions = sessions.map((session) => selectSessionRendition(session, rendition));
+  let playlistContent = buildSessionsPlaylist(renditionSessions, playlistNames, baseUrl, getTokenQuery(req),
+    getStoredUrlResolver(getRecordingPath(userId, challengeNum)));
+
+  // Check if recording exists
+  if (!playlistContent) {
+    return res.status(404).json({
+      error: 'Recording not found',
+      message: `No recording found for ${userId}/${challengeNum}`,
+      userId,
+      challengeNum
+    });
+  }
+
+  // With several renditions, players get the master playlist and pick one
+  if (rendition === undefined && renditions.length > 1) {
+    const watchUrl = `/watch/${encodeURIComponent(userId)}/${encodeURIComponent(challengeNum)}`;
+    playlistContent = buildMasterPlaylist(renditions, (candidate) => getRenditionUrl(req, watchUrl, candidate));
+  }
+
+  sendPlaylist(res, playlistContent);
+});
+
+// Helper function to parse timelapse options from a request's query and JSON body
+function getRequestTimelapseOptions(req) {
+  const input = { ...req.query };
+  delete input.token;
+  delete input.rendition;
+  for (const [key, value] of Object.entries(req.body || {})) {
+    input[key] = String(value);
+  }
+  return parseTimelapseOptions(input);
+}
+
+// Helper function to get the path of the /timelapse playlist for a set of options
+function getTimelapseUrl(userId, challengeNum, options) {
+  const params = new URLSearchParams();
+  if (options.duration) {
+    params.set('duration', options.duration);
+  } else if (options.speed !== TIMELAPSE_DEFAULTS.speed) {
+    params.set('speed', options.speed);
+  }
+  if (options.maxHeight) {
+    params.set('maxHeight', options.maxHeight);
+  }
+  if (!options.audio) {
+    params.set('audio', 'false');
+  }
+  if (options.preset !== TIMELAPSE_DEFAULTS.preset) {
+    params.set('preset', options.preset);
+  }
+  if (options.idle) {
+    params.set('idle', options.idle);
+  }
+  const query = params.toString();
+  return `/timelapse/${encodeURIComponent(userId)}/${encodeURIComponent(challengeNum)}${query ? `?${query}` : ''}`;
+}
+
+// Endpoint to watch timelapse (60x speed by default) - returns HLS playlist as API,
+// or the player page to browsers. If the variant isn't ready yet, a job is queued
+// and 202 Accepted is returned.
+app.get('/timelapse/:userId/:challengeNum', routeToOwner, requireWatchToken, (req, res) => {
+  const { userId, challengeNum } = req.params;
+  res.vary('Accept');
+  if (wantsPlayerPage(req)) {
+    return res.send(renderPlayerPage('timelapse'));
+  }
+
+  let options;
+  try {
+    options = getRequestTimelapseOptions(req);
+  } catch (err) {
+    return res.status(400).json({
+      error: 'Invalid timelapse options',
+      message: err.message,
+      userId,
+      challengeNum
+    });
+  }
+
+  // Check if original recording exists
+  if (getSessions(userId, challengeNum).length === 0) {
+    return res.status(404).json({
+      error: 'Recording not found',
+      message: `No recording found for ${userId}/${challengeNum}`,
+      userId,
+      challengeNum
+    });
+  }
+
+  // Serve the cached variant if it covers every session: its master playlist,
+  // or the media playlist of the requested rendition
+  if (isTimelapseFresh(userId, challengeNum, options)) {
+    const recordingPath = getRecordingPath(userId, challengeNum);
+    const variantName = getTimelapseVariantName(options);
+    const renditions = readTimelapseRenditions(recordingPath, variantName);
+    const { rendition } = req.query;
+    if (rendition === undefined && renditions.length > 1) {
+      const timelapseUrl = getTimelapseUrl(userId, challengeNum, options);
+      return sendPlaylist(res, buildMasterPlaylist(renditions, (candidate) => getRenditionUrl(req, timelapseUrl, candidate)));
     }
-    button:hover {
-      background: #45a049;
+    const index = rendition === undefined ? 0 : renditions.findIndex((candidate) => candidate.name === rendition);
+    if (index === -1) {
+      return res.status(404).json({
+        error: 'Rendition not found',
+        message: `No ${rendition} rendition found for this timelapse of ${userId}/${challengeNum}`,
+        userId,
+        challengeNum
+      });
     }
-    button:disabled {
-      background: #666;
-      cursor: not-allowed;
+    const playlistPath = path.join(recordingPath, getTimelapseRenditionFiles(variantName, renditions[index], index).playlist);
+    const playlistContent = fs.readFileSync(playlistPath, 'utf8');
+    // Update segment paths to be absolute URLs with correct protocol (or bucket URLs)
+    return sendPlaylist(res, rewritePlaylistUrls(playlistContent, getRecordingBaseUrl(req, userId, challengeNum), getTokenQuery(req),
+      getStoredUrlResolver(recordingPath)));
+  }
+
+  // Otherwise queue (or join) a generation job and return 202 Accepted
+  const job = enqueueTimelapseJob(userId, challengeNum, options, getTimelapseUrl(userId, challengeNum, options));
+  res.status(202).json({
+    status: 'generating',
+    message: 'Timelapse is being generated. Poll the job or retry in a few moments.',
+    userId,
+    challengeNum,
+    jobId: job.id,
+    statusUrl: `/jobs/${job.id}`
+  });
+});
+
+// Endpoint to queue a timelapse job - returns the job id to poll at /jobs/:id
+app.post('/timelapse/:userId/:challengeNum/jobs', routeToOwner, requireWatchToken, (req, res) => {
+  const { userId, challengeNum } = req.params;
+
+  let options;
+  try {
+    options = getRequestTimelapseOptions(req);
+  } catch (err) {
+    return res.status(400).json({
+      error: 'Invalid timelapse options',
+      message: err.message,
+      userId,
+      challengeNum
+    });
+  }
+
+  if (getSessions(userId, challengeNum).length === 0) {
+    return res.status(404).json({
+      error: 'Recording not found',
+      message: `No recording found for ${userId}/${challengeNum}`,
+      userId,
+      challengeNum
+    });
+  }
+
+  const job = enqueueTimelapseJob(userId, challengeNum, options, getTimelapseUrl(userId, challengeNum, options));
+  res.status(202).json(serializeJob(job));
+});
+
+// Endpoint to get the state, progress and ETA of a timelapse job
+app.get('/jobs/:id', (req, res, next) => {
+  findTimelapseJob(req.params.id).then((job) => {
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: `No job found with id ${req.params.id}`
+      });
     }
-    button.stop {
-      background: #f44336;
+
+    // Jobs belong to a recording, so they are protected like its watch endpoints
+    req.params.userId = job.userId;
+    req.params.challengeNum = job.challengeNum;
+    requireWatchToken(req, res, () => res.json(job));
+  }).catch(next);
+});
+
+// Health check endpoint
+app.get('/', (req, res) => {
+  res.json({
+    status: 'ok',
+    service: 'outback-streaming',
+    activeStreams: activeStreams.size,
+    recovered: recoverySummary
+  });
+});
+
+// Liveness endpoint: the process is up and serving requests
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Helper function to check that FFmpeg runs and has the encoders we transcode
+// with. A passing result is cached, since the binary doesn't change at runtime.
+let ffmpegCheck = null;
+function checkFfmpeg(callback) {
+  if (ffmpegCheck && ffmpegCheck.ok) {
+    return callback(ffmpegCheck);
+  }
+  if (!ffmpegPath) {
+    return callback({ ok: false, path: null, error: `FFmpeg binary not found (searched ${commonPaths.join(', ')} and PATH)` });
+  }
+
+  execFile(ffmpegPath, ['-hide_banner', '-encoders'], { timeout: 5000 }, (err, stdout) => {
+    if (err) {
+      return callback({ ok: false, path: ffmpegPath, error: `FFmpeg failed to run: ${err.message}` });
     }
-    button.stop:hover {
-      background: #da190b;
+    const encoders = {};
+    for (const name of REQUIRED_ENCODERS) {
+      encoders[name] = new RegExp(`^\\s*\\S+\\s+${name}\\s`, 'm').test(stdout);
     }
-    #video {
-      width: 100%;
-      max-width: 800px;
-      border-radius: 8px;
-      background: #000;
-      margin: 20px 0;
+    const missing = REQUIRED_ENCODERS.filter((name) => !encoders[name]);
+    ffmpegCheck = {
+      ok: missing.length === 0,
+      path: ffmpegPath,
+      encoders,
+      error: missing.length > 0 ? `Missing encoders: ${missing.join(', ')}` : null
+    };
+    callback(ffmpegCheck);
+  });
+}
+
+// Helper function to check that RECORDINGS_DIR can be written to and has free space
+function checkRecordingsDir() {
+  const probeFile = path.join(RECORDINGS_DIR, '.readiness-probe');
+  const result = { ok: true, path: RECORDINGS_DIR, writable: false, freeBytes: null, minFreeBytes: MIN_FREE_DISK_MB * 1024 * 1024, error: null };
+  try {
+    fs.writeFileSync(probeFile, String(Date.now()));
+    fs.unlinkSync(probeFile);
+    result.writable = true;
+    result.freeBytes = getFreeDiskBytes();
+  } catch (e) {
+    result.ok = false;
+    result.error = `Recordings directory is not writable: ${e.message}`;
+    return result;
+  }
+  if (result.freeBytes < result.minFreeBytes) {
+    result.ok = false;
+    result.error = `Only ${Math.round(result.freeBytes / (1024 * 1024))} MB free, below MIN_FREE_DISK_MB`;
+  }
+  return result;
+}
+
+// Helper function to find live FFmpeg processes that stopped producing segments:
+// chunks are still arriving, but no segment was written for LIVE_STALL_SECONDS
+function checkLiveTranscoders() {
+  const now = Date.now();
+  const stallMs = LIVE_STALL_SECONDS * 1000;
+  const stuck = [];
+
+  for (const [streamKey, streamInfo] of activeStreams.entries()) {
+    if (!ffmpegProcesses.has(streamKey) || !streamInfo.ffmpegStartedAt) {
+      continue;
     }
-    .status {
-      padding: 10px;
-      margin: 10px 0;
-      border-radius: 4px;
-      background: #333;
+    let lastSegmentAt = streamInfo.ffmpegStartedAt;
+    let lastChunkAt = 0;
+    try {
+      lastChunkAt = fs.statSync(path.join(streamInfo.sessionPath, 'input.webm')).mtimeMs;
+      lastSegmentAt = Math.max(lastSegmentAt, fs.statSync(path.join(streamInfo.sessionPath, 'playlist.m3u8')).mtimeMs);
+    } catch (e) {
+      // No playlist yet, measure from when FFmpeg started
     }
-    .status.connected {
-      background: #4CAF50;
+    if (now - lastSegmentAt > stallMs && now - lastChunkAt < stallMs) {
+      stuck.push({
+        streamKey,
+        session: streamInfo.session,
+        secondsSinceLastSegment: Math.round((now - lastSegmentAt) / 1000)
+      });
     }
-    .status.error {
-      background: #f44336;
+  }
+
+  return {
+    ok: stuck.length === 0,
+    running: ffmpegProcesses.size,
+    stuck,
+    error: stuck.length > 0 ? `${stuck.length} live FFmpeg process(es) not producing segments` : null
+  };
+}
+
+// Readiness endpoint: 200 when the server can record and transcode, otherwise
+// 503 with the failing checks
+app.get('/health/ready', (req, res) => {
+  checkFfmpeg((ffmpegResult) => {
+    const checks = {
+      shutdown: { ok: !shuttingDown, error: shuttingDown ? 'Server is shutting down' : null },
+      ffmpeg: ffmpegResult,
+      recordingsDir: checkRecordingsDir(),
+      liveTranscoders: checkLiveTranscoders()
+    };
+    if (cluster) {
+      const connected = cluster.isConnected();
+      checks.cluster = {
+        ok: connected,
+        nodeId: cluster.nodeId,
+        ownedStreamKeys: clusterClaims.size,
+        error: connected ? null : `Not connected to the ${process.env.CLUSTER_ADAPTER} cluster registry`
+      };
+    }
+    const ready = Object.values(checks).every((check) => check.ok);
+    if (!ready) {
+      const failing = Object.entries(checks).filter(([, check]) => !check.ok).map(([name, check]) => `${name}: ${check.error}`);
+      console.warn(`Readiness check failed: ${failing.join('; ')}`);
+    }
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'degraded',
+      activeStreams: activeStreams.size,
+      checks
+    });
+  });
+});
+
+// Endpoint to download a recording or its timelapse as a single MP4.
+// ?variant=full (default) or ?variant=timelapse, which also takes the timelapse options.
+app.get('/download/:userId/:challengeNum', routeToOwner, requireWatchToken, (req, res) => {
+  const { userId, challengeNum } = req.params;
+  const variant = req.query.variant || 'full';
+
+  if (variant !== 'full' && variant !== 'timelapse') {
+    return res.status(400).json({
+      error: 'Invalid variant',
+      message: 'variant must be full or timelapse',
+      userId,
+      challengeNum
+    });
+  }
+
+  let options = null;
+  if (variant === 'timelapse') {
+    const query = { ...req.query };
+    delete query.variant;
+    delete query.token;
+    try {
+      options = parseTimelapseOptions(query);
+    } catch (err) {
+      return res.status(400).json({
+        error: 'Invalid timelapse options',
+        message: err.message,
+        userId,
+        challengeNum
+      });
+    }
+  }
+
+  if (getSessions(userId, challengeNum).length === 0) {
+    return res.status(404).json({
+      error: 'Recording not found',
+      message: `No recording found for ${userId}/${challengeNum}`,
+      userId,
+      challengeNum
+    });
+  }
+  if (activeStreams.has(getStreamKey(userId, challengeNum))) {
+    return res.status(409).json({
+      error: 'Recording is live',
+      message: 'Downloads are available once the stream has stopped',
+      userId,
+      challengeNum
+    });
+  }
+
+  // A timelapse export needs the timelapse itself first
+  if (variant === 'timelapse' && !isTimelapseFresh(userId, challengeNum, options)) {
+    const job = enqueueTimelapseJob(userId, challengeNum, options, getTimelapseUrl(userId, challengeNum, options));
+    return res.status(202).json({
+      status: 'generating',
+      message: 'Timelapse is being generated. Retry the download once the job has completed.',
+      userId,
+      challengeNum,
+      jobId: job.id,
+      statusUrl: `/jobs/${job.id}`
+    });
+  }
+
+  exportMp4(userId, challengeNum, variant, options, (err, downloadFile) => {
+    if (err) {
+      if (err.message === 'Export already in progress') {
+        return res.status(202).json({
+          status: 'exporting',
+          message: 'The MP4 is being prepared. Please retry in a few moments.',
+          userId,
+          challengeNum
+        });
+      }
+      return res.status(500).json({
+        error: 'Export failed',
+        message: err.message,
+        userId,
+        challengeNum
+      });
+    }
+
+    // res.download handles Range requests and sets Content-Disposition
+    const filename = `${getStreamKey(userId, challengeNum)}_${variant}.mp4`;
+    res.download(downloadFile, filename);
+  });
+});
+
+// Helper function to serve a recording's thumbnail file, starting generation
+// (and answering 202) when it doesn't exist yet
+function sendThumbnailFile(req, res, fileName, send) {
+  const { userId, challengeNum } = req.params;
+  const thumbnailsPath = path.join(getRecordingPath(userId, challengeNum), 'thumbnails');
+
+  if (getSessions(userId, challengeNum).length === 0) {
+    return res.status(404).json({
+      error: 'Recording not found',
+      message: `No recording found for ${userId}/${challengeNum}`,
+      userId,
+      challengeNum
+    });
+  }
+
+  if (!fs.existsSync(path.join(thumbnailsPath, fileName))) {
+    generateThumbnails(userId, challengeNum);
+    return res.status(202).json({
+      status: 'generating',
+      message: 'Thumbnails are being generated. Please retry in a few moments.',
+      userId,
+      challengeNum
+    });
+  }
+
+  res.setHeader('Cache-Control', 'no-cache');
+  send(path.join(thumbnailsPath, fileName));
+}
+
+// Endpoint to get the poster image of a recording
+app.get('/thumbnail/:userId/:challengeNum', routeToOwner, requireWatchToken, (req, res) => {
+  sendThumbnailFile(req, res, 'poster.jpg', (file) => res.sendFile(file));
+});
+
+// Endpoint to get a grid of frames sampled across a recording
+app.get('/contact-sheet/:userId/:challengeNum', routeToOwner, requireWatchToken, (req, res) => {
+  sendThumbnailFile(req, res, 'contact-sheet.jpg', (file) => res.sendFile(file));
+});
+
+// Endpoint to get the WebVTT thumbnails track for scrub previews
+app.get('/thumbnails/:userId/:challengeNum', routeToOwner, requireWatchToken, (req, res) => {
+  const { userId, challengeNum } = req.params;
+  sendThumbnailFile(req, res, 'thumbnails.json', (file) => {
+    const baseUrl = getRecordingBaseUrl(req, userId, challengeNum);
+    res.setHeader('Content-Type', 'text/vtt');
+    res.send(buildThumbnailsVtt(path.dirname(file), baseUrl, getTokenQuery(req)));
+  });
+});
+
+// Endpoint to get the activity timeline of a recording: idle and active spans
+// (seconds from the start of the recording) and the total active minutes
+app.get('/activity/:userId/:challengeNum', routeToOwner, requireWatchToken, (req, res) => {
+  const { userId, challengeNum } = req.params;
+
+  if (getSessions(userId, challengeNum).length === 0) {
+    return res.status(404).json({
+      error: 'Recording not found',
+      message: `No recording found for ${userId}/${challengeNum}`,
+      userId,
+      challengeNum
+    });
+  }
+
+  if (!isActivityFresh(userId, challengeNum)) {
+    analyzeActivity(userId, challengeNum);
+    return res.status(202).json({
+      status: 'analyzing',
+      message: 'Activity is being analyzed. Please retry in a few moments.',
+      userId,
+      challengeNum
+    });
+  }
+
+  res.json({ userId, challengeNum, ...readActivity(userId, challengeNum) });
+});
+
+// Endpoint to get the public key recording manifests are signed with (PEM),
+// for verifying recordings elsewhere with verify.js
+app.get('/verify/public-key', (req, res) => {
+  res.type('application/x-pem-file').send(crypto.createPublicKey(manifestKey).export({ type: 'spki', format: 'pem' }));
+});
+
+// Endpoint to verify a recording against its signed manifest: re-hashes the
+// inputs (chunk by chunk along their hash chains), segments and timelapses
+app.get('/verify/:userId/:challengeNum', routeToOwner, requireWatchToken, (req, res) => {
+  const { userId, challengeNum } = req.params;
+  const streamKey = getStreamKey(userId, challengeNum);
+  const recordingPath = getRecordingPath(userId, challengeNum);
+
+  if (getSessions(userId, challengeNum).length === 0) {
+    return res.status(404).json({
+      error: 'Recording not found',
+      message: `No recording found for ${userId}/${challengeNum}`,
+      userId,
+      challengeNum
+    });
+  }
+  if (!fs.existsSync(path.join(recordingPath, MANIFEST_FILE))) {
+    return res.status(404).json({
+      error: 'Manifest not found',
+      message: `${userId}/${challengeNum} has not been sealed yet (manifests are written when a stream stops)`,
+      userId,
+      challengeNum
+    });
+  }
+
+  // Requests arriving while a verification runs share its result
+  if (!manifestVerifications.has(streamKey)) {
+    const streamInfo = activeStreams.get(streamKey);
+    const verification = verifyRecording(recordingPath, {
+      publicKey: crypto.createPublicKey(manifestKey),
+      skipSessions: streamInfo ? [getSessionName(streamInfo.session)] : [],
+      evicted: getEvictedFiles(storage, recordingPath)
+    }).finally(() => manifestVerifications.delete(streamKey));
+    manifestVerifications.set(streamKey, verification);
+  }
+
+  manifestVerifications.get(streamKey)
+    .then((report) => {
+      res.json({ ...report, userId, challengeNum, live: activeStreams.has(streamKey) });
+    })
+    .catch((err) => {
+      console.error(`Failed to verify ${streamKey}:`, err.message);
+      res.status(500).json({
+        error: 'Verification failed',
+        message: err.message,
+        userId,
+        challengeNum
+      });
+    });
+});
+
+// Helper function to get the total size in bytes of a directory's files
+function getDirectorySize(dirPath) {
+  let total = 0;
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    const entryPath = path.join(dirPath, entry.name);
+    total += entry.isDirectory() ? getDirectorySize(entryPath) : fs.statSync(entryPath).size;
+  }
+  return total;
+}
+
+// Helper function to find the userId/challengeNum of a recording directory.
+// Older recordings have no recording.json; for those the key is split at its
+// last underscore.
+function getRecordingOwner(streamKey) {
+  try {
+    const metadata = JSON.parse(fs.readFileSync(path.join(RECORDINGS_DIR, streamKey, 'recording.json'), 'utf8'));
+    if (metadata.userId && metadata.challengeNum) {
+      return metadata;
     }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <h1>Stream: ${streamKey}</h1>
-    <div id="status" class="status">Ready to start streaming</div>
-    <div>
-      <button id="startBtn" onclick="startStream()">Start Screen Share</button>
-      <button id="stopBtn" class="stop" onclick="stopStream()" disabled>Stop Streaming</button>
-    </div>
-    <video id="video" autoplay muted></video>
-    <div>
-      <p>Stream URL: <code>${streamKey}</code></p>
-      <p>Watch URL: <a href="/watch/${userId}/${challengeNum}" target="_blank">/watch/${userId}/${challengeNum}</a></p>
-    </div>
-  </div>
+  } catch (e) {
+    // Fall through to parsing the directory name
+  }
+  const separator = streamKey.lastIndexOf('_');
+  if (separator <= 0) {
+    return null;
+  }
+  return { userId: streamKey.slice(0, separator), challengeNum: streamKey.slice(separator + 1) };
+}
 
-  <script>
-    // Connect to Socket.io server
-    const socket = io(window.location.origin);
-    const userId = '${userId}';
-    const challengeNum = '${challengeNum}';
-    let localStream = null;
-    let mediaRecorder = null;
-    let isStreaming = false;
+// Helper function to describe a recording for the catalog API.
+// With includeSessions, a per-session breakdown is added. liveElsewhere marks
+// recordings live on another node of the cluster.
+function describeRecording(userId, challengeNum, includeSessions = false, liveElsewhere = false) {
+  const streamKey = getStreamKey(userId, challengeNum);
+  const recordingPath = getRecordingPath(userId, challengeNum);
+  const sessions = getSessions(userId, challengeNum);
+  const sessionTimes = sessions.map((session) => getSessionTimes(session));
+  const timelapses = fs.readdirSync(recordingPath)
+    .filter((entry) => /^timelapse(_[a-z0-9_]+)?\.m3u8$/.test(entry))
+    .map((entry) => entry.replace(/\.m3u8$/, ''));
+  const live = activeStreams.has(streamKey) || liveElsewhere;
 
-    const video = document.getElementById('video');
-    const startBtn = document.getElementById('startBtn');
-    const stopBtn = document.getElementById('stopBtn');
-    const status = document.getElementById('status');
+  const recording = {
+    streamKey,
+    userId,
+    challengeNum,
+    live,
+    sessions: sessions.length,
+    duration: Math.round(sessionTimes.reduce((total, times) => total + (times.endTime - times.startTime), 0) / 1000),
+    sizeBytes: getDirectorySize(recordingPath),
+    startTime: sessionTimes.length > 0 ? new Date(Math.min(...sessionTimes.map((times) => times.startTime))).toISOString() : null,
+    endTime: sessionTimes.length > 0 && !live ? new Date(Math.max(...sessionTimes.map((times) => times.endTime))).toISOString() : null,
+    hasTimelapse: timelapses.length > 0,
+    timelapses,
+    activeMinutes: isActivityFresh(userId, challengeNum) ? readActivity(userId, challengeNum).activeMinutes : null,
+    hasThumbnails: fs.existsSync(path.join(recordingPath, 'thumbnails', 'poster.jpg')),
+    inputPruned: sessions.some((session) => session.pruned),
+    storedBytes: storage
+      ? Object.values(readStorageIndex(recordingPath)).reduce((total, entry) => total + entry.bytes, 0)
+      : null,
+    watchUrl: `/watch/${encodeURIComponent(userId)}/${encodeURIComponent(challengeNum)}`,
+    timelapseUrl: `/timelapse/${encodeURIComponent(userId)}/${encodeURIComponent(challengeNum)}`
+  };
 
-    function updateStatus(message, type = '') {
-      status.textContent = message;
-      status.className = 'status ' + type;
+  if (includeSessions) {
+    recording.sessionDetails = sessions.map((session, i) => ({
+      session: session.number,
+      startTime: new Date(sessionTimes[i].startTime).toISOString(),
+      endTime: new Date(sessionTimes[i].endTime).toISOString(),
+      duration: Math.round((sessionTimes[i].endTime - sessionTimes[i].startTime) / 1000),
+      sizeBytes: session.pruned ? 0 : session.storedInput ? session.storedInput.bytes : fs.statSync(session.inputFile).size,
+      inputPruned: session.pruned,
+      inputEvicted: Boolean(session.storedInput),
+      renditions: getSessionRenditions(session.path).map((rendition) => rendition.name).filter(Boolean),
+      live: activeStreams.has(streamKey) && activeStreams.get(streamKey).session === session.number
+    }));
+  }
+  return recording;
+}
+
+// Helper function to check whether a stream, an FFmpeg job, a manifest seal or
+// an upload is using a recording's directory
+function isRecordingBusy(streamKey) {
+  return activeStreams.has(streamKey) || manifestSeals.has(streamKey) || storageUploads.has(streamKey) ||
+    [...timelapseProcesses.keys()].some((processKey) => processKey.startsWith(`${streamKey}/`));
+}
+
+// Helper function to get the free space (in bytes) of the volume holding RECORDINGS_DIR
+function getFreeDiskBytes() {
+  const stats = fs.statfsSync(RECORDINGS_DIR);
+  return stats.bavail * stats.bsize;
+}
+
+// Helper function to get the disk space (in bytes) used by RECORDINGS_DIR, in
+// total and per user. Walking the tree is synchronous, so it happens at most once
+// per maxAgeMs; quota checks and /metrics scrapes share the cached figures.
+let diskUsageCache = null;
+function getDiskUsage(maxAgeMs = DISK_USAGE_CACHE_MS) {
+  if (!diskUsageCache || Date.now() - diskUsageCache.measuredAt > maxAgeMs) {
+    let bytes = 0;
+    const users = new Map();
+    for (const entry of fs.readdirSync(RECORDINGS_DIR, { withFileTypes: true })) {
+      const entryPath = path.join(RECORDINGS_DIR, entry.name);
+      if (!entry.isDirectory()) {
+        bytes += fs.statSync(entryPath).size;
+        continue;
+      }
+      const size = getDirectorySize(entryPath);
+      bytes += size;
+      const owner = entry.name.startsWith('.') ? null : getRecordingOwner(entry.name);
+      if (owner) {
+        users.set(owner.userId, (users.get(owner.userId) || 0) + size);
+      }
     }
+    diskUsageCache = { bytes, users, measuredAt: Date.now() };
+  }
+  return diskUsageCache;
+}
 
-    async function startStream() {
-      try {
-        updateStatus('Requesting screen share...', '');
-        startBtn.disabled = true;
+// Helper function to get the disk space (in bytes) used by RECORDINGS_DIR
+function getRecordingsDiskUsage() {
+  return getDiskUsage().bytes;
+}
 
-        // Get screen share
-        localStream = await navigator.mediaDevices.getDisplayMedia({
-          video: { 
-            mediaSource: 'screen',
-            width: { ideal: 1920 },
-            height: { ideal: 1080 }
-          },
-          audio: true
-        });
+// Helper function to get the disk space (in bytes) used by all recordings of a user
+function getUserDiskUsage(userId) {
+  return getDiskUsage().users.get(String(userId)) || 0;
+}
 
-        video.srcObject = localStream;
-        updateStatus('Screen share active. Starting recording...', '');
+// Helper function to check the free disk space and quotas before a new stream.
+// Usage comes from the cache refreshed in the background (see getDiskUsage), so
+// starting a stream never walks RECORDINGS_DIR itself unless the cache is cold.
+// Returns an error object for the stream-error event, or null if it may start.
+function checkDiskLimits(userId) {
+  const mb = (bytes) => Math.round(bytes / (1024 * 1024));
 
-        // Start stream on server
-        socket.emit('start-stream', { userId, challengeNum });
+  const freeBytes = getFreeDiskBytes();
+  if (freeBytes < MIN_FREE_DISK_MB * 1024 * 1024) {
+    return {
+      error: 'Low disk space',
+      message: `The server is low on disk space (${mb(freeBytes)} MB free), new streams are paused. Please try again later.`
+    };
+  }
+  if (GLOBAL_QUOTA_MB > 0) {
+    const usedBytes = getRecordingsDiskUsage();
+    if (usedBytes >= GLOBAL_QUOTA_MB * 1024 * 1024) {
+      return {
+        error: 'Quota exceeded',
+        message: `Recordings use ${mb(usedBytes)} MB of the server's ${GLOBAL_QUOTA_MB} MB quota, new streams are paused. Please try again later.`
+      };
+    }
+  }
+  if (USER_QUOTA_MB > 0) {
+    const usedBytes = getUserDiskUsage(userId);
+    if (usedBytes >= USER_QUOTA_MB * 1024 * 1024) {
+      return {
+        error: 'Quota exceeded',
+        message: `Your recordings use ${mb(usedBytes)} MB of your ${USER_QUOTA_MB} MB quota.`
+      };
+    }
+  }
+  return null;
+}
 
-        // Wait for server to be ready
-        socket.once('stream-ready', () => {
-          try {
-            // Create MediaRecorder
-            const options = {
-              mimeType: 'video/webm;codecs=vp8,opus',
-              videoBitsPerSecond: 2500000
-            };
-
-            if (!MediaRecorder.isTypeSupported(options.mimeType)) {
-              options.mimeType = 'video/webm';
-            }
+// Helper function to delete the raw input.webm of every finished session once a
+// timelapse covering all sessions has existed for RETENTION_INPUT_DAYS. The VOD
+// segments stay, so the recording and its cached timelapses remain watchable.
+// Returns the number of bytes freed (on disk or in the storage backend).
+function pruneRecordingInputs(userId, challengeNum, cutoff) {
+  const recordingPath = getRecordingPath(userId, challengeNum);
+  const allSessions = getSessions(userId, challengeNum);
+  const sessions = allSessions.filter((session) => !session.pruned);
+  if (sessions.length === 0) {
+    return 0;
+  }
 
-            mediaRecorder = new MediaRecorder(localStream, options);
-
-            // Handle data available
-            mediaRecorder.ondataavailable = (event) => {
-              if (event.data && event.data.size > 0) {
-                // Convert blob to base64 and send to server
-                const reader = new FileReader();
-                reader.onloadend = () => {
-                  const base64data = reader.result.split(',')[1];
-                  socket.emit('stream-chunk', {
-                    userId,
-                    challengeNum,
-                    chunk: base64data
-                  });
-                };
-                reader.readAsDataURL(event.data);
-              }
-            };
-
-            // Handle stop
-            mediaRecorder.onstop = () => {
-              socket.emit('stop-stream', { userId, challengeNum });
-            };
-
-            // Start recording with 1 second chunks
-            mediaRecorder.start(1000);
-            updateStatus('Streaming active! Recording...', 'connected');
-            isStreaming = true;
-            stopBtn.disabled = false;
-          } catch (error) {
-            console.error('Error starting MediaRecorder:', error);
-            updateStatus('Error: ' + error.message, 'error');
-            cleanup();
-          }
-        });
+  // Timelapse variants made after the last session, i.e. covering all of them
+  const latestInput = getLatestInputTime(allSessions);
+  const timelapseTimes = fs.readdirSync(recordingPath)
+    .filter((entry) => /^timelapse(_[a-z0-9_]+)?\.m3u8$/.test(entry))
+    .map((entry) => fs.statSync(path.join(recordingPath, entry)).mtimeMs)
+    .filter((mtime) => mtime >= latestInput);
+  if (timelapseTimes.length === 0 || Math.min(...timelapseTimes) > cutoff) {
+    return 0;
+  }
 
-        // Handle stream stopped from server
-        socket.on('stream-stopped', () => {
-          updateStatus('Stream stopped', '');
-          cleanup();
-        });
+  let freed = 0;
+  for (const session of sessions) {
+    // Legacy recordings and sessions without a finished VOD playlist have
+    // nothing else to play back from
+    const vodPlaylist = path.join(session.path, 'vod.m3u8');
+    if (session.number === 0 || !fs.existsSync(vodPlaylist) || !fs.readFileSync(vodPlaylist, 'utf8').includes('#EXT-X-ENDLIST')) {
+      continue;
+    }
+    const { startTime, endTime } = getSessionTimes(session);
+    const size = session.storedInput ? session.storedInput.bytes : fs.statSync(session.inputFile).size;
+    // Record the session's times first, so it stays listed if we stop halfway
+    const metadata = { ...readSessionMetadata(session.path), startTime, endTime, inputPrunedAt: Date.now(), inputBytes: size };
+    fs.writeFileSync(path.join(session.path, 'session.json'), JSON.stringify(metadata));
+    if (!session.storedInput) {
+      fs.unlinkSync(session.inputFile);
+    }
+    deleteStoredFiles(recordingPath, (relPath) => relPath === `${session.relPath}input.webm`);
+    freed += size;
+  }
+  fs.rmSync(path.join(recordingPath, 'inputs.txt'), { force: true });
+  return freed;
+}
 
-        // Handle stream end (user stops sharing)
-        localStream.getVideoTracks()[0].onended = () => {
-          stopStream();
-        };
+// Helper function to apply the retention policy to every recording that isn't
+// in use (in cluster mode, by this node or another one)
+async function applyRetentionPolicy() {
+  const summary = { prunedInputs: 0, deletedRecordings: 0, freedBytes: 0 };
+  const dayMs = 24 * 60 * 60 * 1000;
 
-      } catch (error) {
-        console.error('Error starting stream:', error);
-        updateStatus('Error: ' + error.message, 'error');
-        startBtn.disabled = false;
-        cleanup();
-      }
+  for (const entry of fs.readdirSync(RECORDINGS_DIR, { withFileTypes: true })) {
+    if (!entry.isDirectory() || entry.name.startsWith('.')) {
+      continue;
     }
+    const owner = getRecordingOwner(entry.name);
+    if (!owner || getStreamKey(owner.userId, owner.challengeNum) !== entry.name || isRecordingBusy(entry.name)) {
+      continue;
+    }
+    const recordingPath = path.join(RECORDINGS_DIR, entry.name);
 
-    function stopStream() {
-      if (mediaRecorder && mediaRecorder.state !== 'inactive') {
-        mediaRecorder.stop();
+    try {
+      if (!(await ownsStreamKey(entry.name))) {
+        continue;
       }
-      if (isStreaming) {
-        socket.emit('stop-stream', { userId, challengeNum });
+      if (RETENTION_RECORDING_DAYS > 0) {
+        const sessions = getSessions(owner.userId, owner.challengeNum);
+        const lastActivity = sessions.length > 0 ? getLatestInputTime(sessions) : fs.statSync(recordingPath).mtimeMs;
+        if (lastActivity < Date.now() - RETENTION_RECORDING_DAYS * dayMs) {
+          const size = getDirectorySize(recordingPath);
+          deleteStoredFiles(recordingPath, () => true);
+          fs.rmSync(recordingPath, { recursive: true, force: true });
+          console.log(`Retention: deleted recording ${entry.name} (${Math.round(size / (1024 * 1024))} MB)`);
+          summary.deletedRecordings++;
+          summary.freedBytes += size;
+          continue;
+        }
       }
-      cleanup();
-    }
 
-    function cleanup() {
-      if (localStream) {
-        localStream.getTracks().forEach(track => track.stop());
-        localStream = null;
-      }
-      if (mediaRecorder && mediaRecorder.state !== 'inactive') {
-        mediaRecorder.stop();
-        mediaRecorder = null;
+      if (RETENTION_INPUT_DAYS > 0) {
+        const freed = pruneRecordingInputs(owner.userId, owner.challengeNum, Date.now() - RETENTION_INPUT_DAYS * dayMs);
+        if (freed > 0) {
+          console.log(`Retention: removed raw input of ${entry.name} (${Math.round(freed / (1024 * 1024))} MB)`);
+          summary.prunedInputs++;
+          summary.freedBytes += freed;
+        }
       }
-      isStreaming = false;
-      startBtn.disabled = false;
-      stopBtn.disabled = true;
-      video.srcObject = null;
+    } catch (e) {
+      console.error(`Retention: failed to process ${entry.name}:`, e.message);
     }
+  }
+  return summary;
+}
 
-    // Cleanup on page unload
-    window.addEventListener('beforeunload', cleanup);
-  </script>
-</body>
-</html>
-  `;
-  
-  res.send(html);
-});
+// Middleware to protect the admin endpoints with ADMIN_API_KEY. Anything but
+// reading needs a configured key. Reading is open without a key, unless
+// WATCH_REQUIRE_TOKEN is set: a deployment that protects its recordings
+// doesn't list them (and who streams them) to everyone.
+function requireAdminKey(req, res, next) {
+  if (!ADMIN_API_KEY) {
+    if (req.method === 'GET' && !WATCH_REQUIRE_TOKEN) {
+      return next();
+    }
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'ADMIN_API_KEY must be configured for this endpoint'
+    });
+  }
 
-// Helper to get the correct protocol (handles reverse proxies)
-function getProtocol(req) {
-  // Check for X-Forwarded-Proto header (set by reverse proxies like Coolify)
-  const forwardedProto = req.get('x-forwarded-proto');
-  if (forwardedProto) {
-    return forwardedProto.split(',')[0].trim();
+  const authorization = req.get('authorization') || '';
+  const expected = Buffer.from(`Bearer ${ADMIN_API_KEY}`);
+  const actual = Buffer.from(authorization);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid admin API key is required'
+    });
   }
-  // Check if connection is secure
-  return req.secure ? 'https' : req.protocol;
+  next();
 }
 
-// Endpoint to watch recorded stream - returns HLS playlist as API
-app.get('/watch/:userId/:challengeNum', (req, res) => {
+// Endpoint to mint a stream token for one userId/challenge, for backends that
+// hold the admin key instead of STREAM_TOKEN_SECRET. expiresIn (seconds, query
+// or JSON body) defaults to 12 hours.
+app.post('/tokens/:userId/:challengeNum', requireAdminKey, (req, res) => {
   const { userId, challengeNum } = req.params;
-  const recordingPath = getRecordingPath(userId, challengeNum);
-  const playlistPath = path.join(recordingPath, 'playlist.m3u8');
+  if (!STREAM_TOKEN_SECRET) {
+    return res.status(503).json({
+      error: 'Tokens not configured',
+      message: 'STREAM_TOKEN_SECRET must be set to issue stream tokens',
+      userId,
+      challengeNum
+    });
+  }
+  const rawExpiresIn = (req.body && req.body.expiresIn) !== undefined ? req.body.expiresIn : req.query.expiresIn;
+  const expiresIn = rawExpiresIn === undefined ? 12 * 60 * 60 : Number(rawExpiresIn);
+  if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > MAX_TOKEN_EXPIRES_IN) {
+    return res.status(400).json({
+      error: 'Invalid expiresIn',
+      message: `expiresIn must be a whole number of seconds from 1 to ${MAX_TOKEN_EXPIRES_IN}`,
+      userId,
+      challengeNum
+    });
+  }
+  const token = createStreamToken(userId, challengeNum, expiresIn);
+  const key = `${encodeURIComponent(userId)}/${encodeURIComponent(challengeNum)}`;
+  res.status(201).json({
+    userId,
+    challengeNum,
+    token,
+    expiresAt: new Date((Math.floor(Date.now() / 1000) + expiresIn) * 1000).toISOString(),
+    streamUrl: `${PUBLIC_URL}/stream/${key}?token=${encodeURIComponent(token)}`
+  });
+});
 
-  // Check if recording exists
-  if (!fs.existsSync(playlistPath)) {
+// Endpoint to list recordings, optionally filtered by userId and challengeNum
+app.get('/recordings-api', requireAdminKey, (req, res, next) => {
+  const { userId, challengeNum } = req.query;
+
+  // Recordings live on other nodes of the cluster are marked live as well
+  listLiveStreams().then((liveStreams) => {
+    const liveStreamKeys = new Set(liveStreams.map((status) => status.streamKey));
+    const recordings = [];
+    for (const entry of fs.readdirSync(RECORDINGS_DIR, { withFileTypes: true })) {
+      if (!entry.isDirectory() || entry.name.startsWith('.')) {
+        continue;
+      }
+      const owner = getRecordingOwner(entry.name);
+      if (!owner || getStreamKey(owner.userId, owner.challengeNum) !== entry.name) {
+        continue;
+      }
+      if ((userId && owner.userId !== userId) || (challengeNum && owner.challengeNum !== challengeNum)) {
+        continue;
+      }
+      recordings.push(describeRecording(owner.userId, owner.challengeNum, false, liveStreamKeys.has(entry.name)));
+    }
+
+    recordings.sort((a, b) => (b.startTime || '').localeCompare(a.startTime || ''));
+    res.json({ count: recordings.length, recordings });
+  }).catch(next);
+});
+
+// Endpoint to inspect a single recording
+app.get('/recordings-api/:userId/:challengeNum', routeToCurrentOwner, requireAdminKey, (req, res) => {
+  const { userId, challengeNum } = req.params;
+  if (!fs.existsSync(getRecordingPath(userId, challengeNum))) {
     return res.status(404).json({
       error: 'Recording not found',
       message: `No recording found for ${userId}/${challengeNum}`,
@@ -578,35 +5292,16 @@ app.get('/watch/:userId/:challengeNum', (req, res) => {
       challengeNum
     });
   }
-
-  // Set proper headers for HLS playlist
-  res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Cache-Control', 'no-cache');
-  
-  // Read and serve the playlist file
-  let playlistContent = fs.readFileSync(playlistPath, 'utf8');
-  
-  // Update segment paths to be absolute URLs with correct protocol
-  const protocol = getProtocol(req);
-  const baseUrl = `${protocol}://${req.get('host')}/recordings/${userId}_${challengeNum}/`;
-  // Replace relative segment paths with absolute URLs
-  playlistContent = playlistContent.replace(/^(segment_\d+\.ts)$/gm, baseUrl + '$1');
-  // Also handle paths that might already have a partial path
-  playlistContent = playlistContent.replace(/^([^\/\n]+segment_\d+\.ts)$/gm, baseUrl + '$1');
-  
-  res.send(playlistContent);
+  res.json(describeRecording(userId, challengeNum, true));
 });
 
-// Endpoint to watch timelapse (60x speed) - returns HLS playlist as API
-app.get('/timelapse/:userId/:challengeNum', (req, res) => {
+// Endpoint to delete a recording with all its sessions and timelapses
+app.delete('/recordings-api/:userId/:challengeNum', routeToCurrentOwner, requireAdminKey, (req, res) => {
   const { userId, challengeNum } = req.params;
+  const streamKey = getStreamKey(userId, challengeNum);
   const recordingPath = getRecordingPath(userId, challengeNum);
-  const inputFile = path.join(recordingPath, 'input.webm');
-  const timelapsePlaylist = path.join(recordingPath, 'timelapse.m3u8');
 
-  // Check if original recording exists
-  if (!fs.existsSync(inputFile)) {
+  if (!fs.existsSync(recordingPath)) {
     return res.status(404).json({
       error: 'Recording not found',
       message: `No recording found for ${userId}/${challengeNum}`,
@@ -615,79 +5310,244 @@ app.get('/timelapse/:userId/:challengeNum', (req, res) => {
     });
   }
 
-  // Check if timelapse already exists
-  if (fs.existsSync(timelapsePlaylist)) {
-    // Set proper headers for HLS playlist
-    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Cache-Control', 'no-cache');
-    
-    // Read and serve the playlist file
-    let playlistContent = fs.readFileSync(timelapsePlaylist, 'utf8');
-    
-    // Update segment paths to be absolute URLs
-    const protocol = getProtocol(req);
-    const baseUrl = `${protocol}://${req.get('host')}/recordings/${userId}_${challengeNum}/`;
-    // Replace relative segment paths with absolute URLs
-    playlistContent = playlistContent.replace(/^(timelapse_segment_\d+\.ts)$/gm, baseUrl + '$1');
-    // Also handle paths that might already have a partial path
-    playlistContent = playlistContent.replace(/^([^\/\n]+timelapse_segment_\d+\.ts)$/gm, baseUrl + '$1');
-    
-    return res.send(playlistContent);
+  // Refuse while something is still writing into the directory
+  if (isRecordingBusy(streamKey)) {
+    return res.status(409).json({
+      error: 'Recording in use',
+      message: `${userId}/${challengeNum} is live or has a timelapse being generated`,
+      userId,
+      challengeNum
+    });
   }
 
-  // Generate timelapse
-  generateTimelapse(userId, challengeNum, (err, playlistPath) => {
-    if (err) {
-      // If timelapse is being generated, return 202 Accepted
-      if (err.message === 'Timelapse generation already in progress') {
-        return res.status(202).json({
-          status: 'generating',
-          message: 'Timelapse is being generated. Please retry in a few moments.',
-          userId,
-          challengeNum
-        });
+  deleteStoredFiles(recordingPath, () => true);
+  fs.rmSync(recordingPath, { recursive: true, force: true });
+  console.log(`Deleted recording ${streamKey}`);
+  res.json({ deleted: true, streamKey, userId, challengeNum });
+});
+
+// Endpoint to list who is streaming right now (on any node), longest-running first
+app.get('/live', requireAdminKey, (req, res, next) => {
+  listLiveStreams()
+    .then((liveStreams) => Promise.all(liveStreams
+      .sort((a, b) => a.startTime.localeCompare(b.startTime))
+      .map(async (status) => ({
+        ...status,
+        viewers: await getViewerCount(status.streamKey),
+        watchUrl: `/watch/${encodeURIComponent(status.userId)}/${encodeURIComponent(status.challengeNum)}`
+      }))))
+    .then((streams) => res.json({ count: streams.length, streams }))
+    .catch(next);
+});
+
+// Endpoint to list webhook deliveries, newest first, optionally filtered by ?status=pending|delivered|failed
+app.get('/webhooks/deliveries', requireAdminKey, (req, res) => {
+  const { status } = req.query;
+  const deliveries = webhookDeliveries
+    .filter((delivery) => !status || delivery.status === status)
+    .slice()
+    .reverse();
+  res.json({ count: deliveries.length, deliveries });
+});
+
+// Helper function to record how long a timelapse took to generate
+function observeTimelapseDuration(seconds) {
+  TIMELAPSE_DURATION_BUCKETS.forEach((bound, i) => {
+    if (seconds <= bound) {
+      metrics.timelapseDurationBuckets[i]++;
+    }
+  });
+  metrics.timelapseDurationSum += seconds;
+  metrics.timelapseDurationCount++;
+}
+
+// Helper function to render all metrics in the Prometheus text exposition format
+function renderMetrics() {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of samples) {
+      lines.push(`${name}${labels} ${value}`);
+    }
+  };
+
+  metric('outback_active_streams', 'gauge', 'Streams currently live.', [['', activeStreams.size]]);
+  metric('outback_chunks_received_total', 'counter', 'Stream chunks accepted from streamers.', [['', metrics.chunksReceived]]);
+  metric('outback_chunk_bytes_received_total', 'counter', 'Bytes of stream chunks accepted from streamers.', [['', metrics.chunkBytesReceived]]);
+  metric('outback_chunk_gaps_total', 'counter', 'Gaps in chunk sequence numbers.', [['', metrics.chunkGaps]]);
+  metric('outback_chunks_missing_total', 'counter', 'Chunks skipped over by sequence gaps.', [['', metrics.chunksMissing]]);
+  metric('outback_stream_reconnects_total', 'counter', 'Streamers that re-attached to their session after a disconnect.', [['', metrics.streamReconnects]]);
+  metric('outback_live_ffmpeg_processes', 'gauge', 'Live transcoding FFmpeg processes running.', [['', ffmpegProcesses.size]]);
+  metric('outback_live_ffmpeg_restarts_total', 'counter', 'Live FFmpeg processes restarted after an error.', [['', metrics.liveFfmpegRestarts]]);
+  metric('outback_timelapse_queue_depth', 'gauge', 'Timelapse jobs waiting for a free FFmpeg slot.', [['', timelapseQueue.length]]);
+  metric('outback_timelapse_jobs_running', 'gauge', 'Timelapse jobs currently running.', [['', runningTimelapseJobs]]);
+  metric('outback_timelapse_failures_total', 'counter', 'Timelapse generations that failed.', [['', metrics.timelapseFailures]]);
+  metric('outback_timelapse_duration_seconds', 'histogram', 'Time taken to generate a timelapse.', [
+    ...TIMELAPSE_DURATION_BUCKETS.map((bound, i) => [`_bucket{le="${bound}"}`, metrics.timelapseDurationBuckets[i]]),
+    ['_bucket{le="+Inf"}', metrics.timelapseDurationCount],
+    ['_sum', Math.round(metrics.timelapseDurationSum * 1000) / 1000],
+    ['_count', metrics.timelapseDurationCount]
+  ]);
+  metric('outback_recordings_disk_bytes', 'gauge', 'Disk space used by RECORDINGS_DIR.', [['', getRecordingsDiskUsage()]]);
+  metric('outback_storage_uploads_total', 'counter', 'Files uploaded to the storage backend.', [['', metrics.storageUploads]]);
+  metric('outback_storage_upload_bytes_total', 'counter', 'Bytes uploaded to the storage backend.', [['', metrics.storageUploadBytes]]);
+  metric('outback_storage_upload_failures_total', 'counter', 'Uploads to the storage backend that failed.', [['', metrics.storageUploadFailures]]);
+  metric('outback_storage_evicted_bytes_total', 'counter', 'Bytes deleted from disk after being uploaded.', [['', metrics.storageEvictedBytes]]);
+  metric('outback_disk_free_bytes', 'gauge', 'Free space on the volume holding RECORDINGS_DIR.', [['', getFreeDiskBytes()]]);
+  metric('outback_socket_connections', 'gauge', 'Socket.IO clients currently connected.', [['', io.engine.clientsCount]]);
+  metric('outback_socket_connections_total', 'counter', 'Socket.IO connections accepted.', [['', metrics.socketConnections]]);
+  return lines.join('\n') + '\n';
+}
+
+// Endpoint to expose metrics for Prometheus to scrape
+app.get('/metrics', requireAdminKey, (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics());
+});
+
+// Keep the disk usage behind the quotas fresh, measuring it off the stream-start path
+if (GLOBAL_QUOTA_MB > 0 || USER_QUOTA_MB > 0) {
+  setTimeout(() => getDiskUsage(0), 1000).unref();
+  setInterval(() => getDiskUsage(0), DISK_USAGE_CACHE_MS).unref();
+}
+
+// Periodically refresh thumbnails of live streams, if enabled
+if (THUMBNAIL_REFRESH_INTERVAL > 0) {
+  setInterval(() => {
+    for (const [streamKey, streamInfo] of activeStreams.entries()) {
+      // Skip keys whose previous refresh is still queued or running
+      if (!timelapseProcesses.has(`${streamKey}/thumbnails`)) {
+        generateThumbnails(streamInfo.userId, streamInfo.challengeNum);
       }
-      return res.status(500).json({
-        error: 'Timelapse generation failed',
-        message: err.message,
-        userId,
-        challengeNum
-      });
     }
+  }, THUMBNAIL_REFRESH_INTERVAL * 1000).unref();
+}
 
-    // Set proper headers for HLS playlist
-    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Cache-Control', 'no-cache');
-    
-    // Read and serve the playlist file
-    let playlistContent = fs.readFileSync(playlistPath, 'utf8');
-    
-    // Update segment paths to be absolute URLs with correct protocol
-    const protocol = getProtocol(req);
-    const baseUrl = `${protocol}://${req.get('host')}/recordings/${userId}_${challengeNum}/`;
-    // Replace relative segment paths with absolute URLs
-    playlistContent = playlistContent.replace(/^(timelapse_segment_\d+\.ts)$/gm, baseUrl + '$1');
-    // Also handle paths that might already have a partial path
-    playlistContent = playlistContent.replace(/^([^\/\n]+timelapse_segment_\d+\.ts)$/gm, baseUrl + '$1');
-    
-    res.send(playlistContent);
+// Apply the retention policy shortly after boot and then every RETENTION_CHECK_INTERVAL seconds
+if (RETENTION_INPUT_DAYS > 0 || RETENTION_RECORDING_DAYS > 0) {
+  const runRetention = () => applyRetentionPolicy().then(({ prunedInputs, deletedRecordings, freedBytes }) => {
+    if (prunedInputs > 0 || deletedRecordings > 0) {
+      console.log(`Retention: pruned ${prunedInputs} raw input(s) and deleted ${deletedRecordings} recording(s), freeing ${Math.round(freedBytes / (1024 * 1024))} MB`);
+    }
   });
-});
+  setTimeout(runRetention, 10 * 1000).unref();
+  setInterval(runRetention, RETENTION_CHECK_INTERVAL * 1000).unref();
+}
 
-// Health check endpoint
-app.get('/', (req, res) => {
-  res.json({
-    status: 'ok',
-    service: 'outback-streaming',
-    activeStreams: activeStreams.size
+// Upload recordings to the storage backend shortly after boot (after the seals
+// of recordings interrupted by a restart) and then every STORAGE_SYNC_INTERVAL seconds
+if (storage) {
+  setTimeout(uploadPendingRecordings, 10 * 1000).unref();
+  setInterval(uploadPendingRecordings, STORAGE_SYNC_INTERVAL * 1000).unref();
+}
+
+// Helper function to shut down gracefully on SIGTERM/SIGINT: refuse new streams,
+// tell streamers, close input files, let live FFmpeg processes write their last
+// segment and finalize the playlists, and checkpoint timelapse jobs for the next
+// boot. Whatever hasn't finished after SHUTDOWN_TIMEOUT seconds is killed and
+// its playlists finalized as they are.
+function shutdown(signal) {
+  if (shuttingDown) {
+    console.warn(`Received ${signal} again, exiting immediately`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  console.log(`Received ${signal}, shutting down: ${activeStreams.size} live stream(s), ` +
+    `${runningTimelapseJobs} running and ${timelapseQueue.length} queued timelapse job(s)`);
+  server.close();
+
+  const waits = [];
+  const waitFor = (emitter, events) => waits.push(new Promise((resolve) => {
+    events.forEach((event) => emitter.once(event, resolve));
+  }));
+
+  // Give streamers' pages a moment to receive the notice before sockets close
+  waits.push(new Promise((resolve) => setTimeout(resolve, 500)));
+
+  const liveSessions = [];
+  for (const [streamKey, streamInfo] of [...activeStreams.entries()]) {
+    if (streamInfo.socketId) {
+      io.to(streamInfo.socketId).emit('server-shutdown', {
+        streamKey,
+        message: 'The server is restarting. Everything recorded so far is saved, start streaming again in a moment to continue.'
+      });
+    }
+    if (streamInfo.writeStream && !streamInfo.writeStream.closed) {
+      waitFor(streamInfo.writeStream, ['close', 'error']);
+    }
+    const liveProcess = ffmpegProcesses.get(streamKey);
+    if (liveProcess) {
+      waitFor(liveProcess, ['end', 'error']);
+      liveSessions.push({ liveProcess, sessionPath: streamInfo.sessionPath });
+    }
+    // Ends the input file and sends FFmpeg SIGTERM, on which it finishes the
+    // current segment; its end/error handler then finalizes the VOD playlist
+    stopStream(streamKey, 'shutdown');
+  }
+
+  // Timelapses, exports, thumbnails and activity analysis are redone on demand;
+  // killing them lets their error handlers remove partial output
+  for (const ffmpegProcess of timelapseProcesses.values()) {
+    if (ffmpegProcess) {
+      waitFor(ffmpegProcess, ['end', 'error']);
+      ffmpegProcess.kill('SIGKILL');
+    }
+  }
+
+  const timeout = new Promise((resolve) => setTimeout(() => resolve(true), SHUTDOWN_TIMEOUT * 1000));
+  Promise.race([Promise.all(waits).then(() => false), timeout]).then((timedOut) => {
+    if (timedOut) {
+      console.warn(`Shutdown timed out after ${SHUTDOWN_TIMEOUT}s, finalizing remaining playlists as they are`);
+      for (const { liveProcess, sessionPath } of liveSessions) {
+        liveProcess.kill('SIGKILL');
+        syncSessionPlaylists(sessionPath, true);
+      }
+    }
+    saveStateNow();
+    saveWebhookLogNow();
+    io.close();
+    if (!cluster) {
+      return;
+    }
+    // Let other nodes take over this node's stream keys right away (without
+    // waiting on an unreachable registry)
+    const released = Promise.allSettled([...clusterClaims.keys()].map((streamKey) => cluster.release(streamKey)))
+      .then(() => cluster.close());
+    return Promise.race([released, new Promise((resolve) => setTimeout(resolve, 1000))]);
+  }).then(() => {
+    console.log('Shutdown complete');
+    process.exit(0);
   });
-});
+}
 
-// Start server
-server.listen(PORT, () => {
-  console.log(`Streaming server running on port ${PORT}`);
-  console.log(`Recordings directory: ${RECORDINGS_DIR}`);
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Reconcile streams and jobs left behind by the previous process
+loadManifestKey();
+const recoverySummary = recoverState();
+loadWebhookLog();
+console.log(`Recovered state: finalized ${recoverySummary.finalizedStreams.length} interrupted stream(s), ` +
+  `re-queued ${recoverySummary.requeuedJobs.length} and failed ${recoverySummary.failedJobs.length} interrupted timelapse job(s)`);
+
+// Start server, in cluster mode once connected to the other nodes
+const clusterReady = cluster
+  ? cluster.ready.catch((err) => {
+    console.error('ERROR: Could not join the cluster:', err.message);
+    process.exit(1);
+  })
+  : Promise.resolve();
+clusterReady.then(() => {
+  if (cluster) {
+    io.adapter(cluster.adapter);
+    refreshClusterClaims();
+    setInterval(refreshClusterClaims, cluster.ttl * 1000 / 3).unref();
+    console.log(`Cluster node ${cluster.nodeId} joined via ${process.env.CLUSTER_ADAPTER}, reachable at ${cluster.nodeUrl}`);
+  }
+  sealPendingRecordings();
+  server.listen(PORT, () => {
+    console.log(`Streaming server running on port ${PORT}`);
+    console.log(`Recordings directory: ${RECORDINGS_DIR}`);
+  });
 });
 
@@ -0,0 +1,225 @@
+// Storage backends for finished recording files (see README). With the local
+// backend (the default) everything stays in RECORDINGS_DIR. The s3 backend
+// uploads to an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, ...) with
+// SigV4-signed requests, and hands out public or presigned URLs for playback.
+//
+// A backend is an object with:
+//   putFile(key, file)  upload a local file, resolves once stored
+//   getStream(key)      resolves to a readable stream of the object
+//   deleteObject(key)   delete the object (missing objects are fine)
+//   getUrl(key)         URL players and FFmpeg can fetch the object from
+//
+// Each recording directory keeps a .storage.json index of what was uploaded,
+// keyed by path relative to the recording: { bytes, mtimeMs, uploadedAt, evictedAt }.
+// Objects are stored as <prefix><recording directory>/<relative path>.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const STORAGE_INDEX_FILE = '.storage.json';
+const MAX_PRESIGN_EXPIRES = 7 * 24 * 60 * 60;
+
+const CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.webm': 'video/webm',
+  '.json': 'application/json',
+  '.jsonl': 'application/x-ndjson'
+};
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// Helper function to percent-encode a URI component the way SigV4 expects (RFC 3986)
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// Helper function to create the s3 backend from S3_* settings
+function createS3Storage(env) {
+  const bucket = env.S3_BUCKET;
+  const accessKeyId = env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = env.S3_SECRET_ACCESS_KEY;
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('The s3 storage backend needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+  const region = env.S3_REGION || 'us-east-1';
+  const endpoint = new URL(env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`);
+  const pathStyle = env.S3_FORCE_PATH_STYLE !== 'false';
+  const prefix = env.S3_PREFIX || '';
+  const publicUrl = (env.STORAGE_PUBLIC_URL || '').replace(/\/+$/, '');
+  const urlExpires = Number(env.STORAGE_URL_EXPIRES) || 6 * 60 * 60;
+  if (urlExpires < 1 || urlExpires > MAX_PRESIGN_EXPIRES) {
+    throw new Error(`STORAGE_URL_EXPIRES must be between 1 and ${MAX_PRESIGN_EXPIRES} seconds`);
+  }
+
+  // Path-style (endpoint/bucket/key) suits MinIO and most self-hosted stores,
+  // virtual-hosted style (bucket.endpoint/key) is what AWS prefers
+  const host = pathStyle ? endpoint.host : `${bucket}.${endpoint.host}`;
+  const basePath = endpoint.pathname.replace(/\/+$/, '') + (pathStyle ? `/${encodeRfc3986(bucket)}` : '');
+  const getObjectPath = (key) => `${basePath}/${(prefix + key).split('/').map(encodeRfc3986).join('/')}`;
+
+  // Helper function to sign a request with AWS Signature Version 4 (header
+  // names in lower case). The payload is left unsigned so uploads can be
+  // streamed straight from disk.
+  const sign = (method, objectPath, query, headers, amzDate) => {
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const canonicalQuery = Object.keys(query).sort()
+      .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join('&');
+    const headerNames = Object.keys(headers).sort();
+    const canonicalHeaders = headerNames.map((name) => `${name}:${String(headers[name]).trim()}\n`).join('');
+    const canonicalRequest = [method, objectPath, canonicalQuery, canonicalHeaders, headerNames.join(';'), 'UNSIGNED-PAYLOAD'].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    let signingKey = hmac(`AWS4${secretAccessKey}`, date);
+    for (const part of [region, 's3', 'aws4_request']) {
+      signingKey = hmac(signingKey, part);
+    }
+    return {
+      credential: `${accessKeyId}/${scope}`,
+      signedHeaders: headerNames.join(';'),
+      signature: hmac(signingKey, stringToSign).toString('hex')
+    };
+  };
+
+  const getAmzDate = () => new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+  // Helper function to send a signed request for an object
+  const request = async (method, key, { body, headers = {} } = {}) => {
+    const objectPath = getObjectPath(key);
+    const amzDate = getAmzDate();
+    const signedHeaders = { ...headers, host, 'x-amz-content-sha256': 'UNSIGNED-PAYLOAD', 'x-amz-date': amzDate };
+    const { credential, signedHeaders: headerList, signature } = sign(method, objectPath, {}, signedHeaders, amzDate);
+    delete signedHeaders.host;
+    const response = await fetch(`${endpoint.protocol}//${host}${objectPath}`, {
+      method,
+      body,
+      duplex: body ? 'half' : undefined,
+      headers: {
+        ...signedHeaders,
+        authorization: `AWS4-HMAC-SHA256 Credential=${credential}, SignedHeaders=${headerList}, Signature=${signature}`
+      }
+    });
+    if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+      const text = await response.text().catch(() => '');
+      const code = (text.match(/<Code>([^<]+)<\/Code>/) || [])[1];
+      throw new Error(`${method} ${prefix + key} failed with HTTP ${response.status}${code ? ` (${code})` : ''}`);
+    }
+    return response;
+  };
+
+  return {
+    name: 's3',
+
+    async putFile(key, file) {
+      const { size } = fs.statSync(file);
+      const response = await request('PUT', key, {
+        body: fs.createReadStream(file),
+        headers: {
+          'content-length': String(size),
+          'content-type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream'
+        }
+      });
+      await response.arrayBuffer();
+    },
+
+    async getStream(key) {
+      const response = await request('GET', key);
+      return Readable.fromWeb(response.body);
+    },
+
+    async deleteObject(key) {
+      const response = await request('DELETE', key);
+      await response.arrayBuffer();
+    },
+
+    getUrl(key) {
+      if (publicUrl) {
+        return `${publicUrl}/${(prefix + key).split('/').map(encodeRfc3986).join('/')}`;
+      }
+      // Presigned GET, valid for STORAGE_URL_EXPIRES seconds
+      const objectPath = getObjectPath(key);
+      const amzDate = getAmzDate();
+      const query = {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${accessKeyId}/${amzDate.slice(0, 8)}/${region}/s3/aws4_request`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': String(urlExpires),
+        'X-Amz-SignedHeaders': 'host'
+      };
+      const { signature } = sign('GET', objectPath, query, { host }, amzDate);
+      const search = new URLSearchParams({ ...query, 'X-Amz-Signature': signature });
+      return `${endpoint.protocol}//${host}${objectPath}?${search.toString().replace(/\+/g, '%20')}`;
+    }
+  };
+}
+
+const BACKENDS = {
+  local: () => null,
+  s3: createS3Storage
+};
+
+// Helper function to create the storage backend named by STORAGE_BACKEND.
+// Returns null for the local backend, as nothing needs uploading then.
+function createStorage(env) {
+  const name = env.STORAGE_BACKEND || 'local';
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown STORAGE_BACKEND "${name}", use one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return BACKENDS[name](env);
+}
+
+// Helper function to get the object key of a file of a recording
+function getObjectKey(recordingPath, relPath) {
+  return `${path.basename(recordingPath)}/${relPath}`;
+}
+
+// Helper function to read a recording's upload index ({} if nothing was uploaded)
+function readStorageIndex(recordingPath) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(recordingPath, STORAGE_INDEX_FILE), 'utf8'));
+  } catch (e) {
+    return {};
+  }
+}
+
+// Helper function to change a recording's upload index in place. Reading and
+// writing happen synchronously, so concurrent uploads and deletes can't lose entries.
+function updateStorageIndex(recordingPath, update) {
+  const index = readStorageIndex(recordingPath);
+  update(index);
+  const indexFile = path.join(recordingPath, STORAGE_INDEX_FILE);
+  fs.writeFileSync(`${indexFile}.tmp`, JSON.stringify(index));
+  fs.renameSync(`${indexFile}.tmp`, indexFile);
+  return index;
+}
+
+// Helper function to describe the files of a recording that were evicted to
+// the bucket, for verify.js: { paths, open(relPath) }. Null without a backend.
+function getEvictedFiles(storage, recordingPath) {
+  if (!storage) {
+    return null;
+  }
+  const paths = new Set(Object.keys(readStorageIndex(recordingPath))
+    .filter((relPath) => !fs.existsSync(path.join(recordingPath, relPath))));
+  return {
+    paths,
+    open: (relPath) => storage.getStream(getObjectKey(recordingPath, relPath))
+  };
+}
+
+module.exports = {
+  STORAGE_INDEX_FILE,
+  createStorage,
+  getObjectKey,
+  readStorageIndex,
+  updateStorageIndex,
+  getEvictedFiles
+};
@@ -5,11 +5,16 @@ const STREAMING_SERVER = process.env.STREAMING_SERVER || 'https://tkg8wsk0o8cc8s
 const userId = 'TEST_USER';
 const challengeNum = '999';
 const TEST_VIDEO = '/tmp/test_video.webm';
+// Token signed for TEST_USER/999 with the server's STREAM_TOKEN_SECRET
+const STREAM_TOKEN = process.env.STREAM_TOKEN || '';
+// Set TEST_BASE64=1 to exercise the legacy base64 chunk path
+const USE_BASE64 = process.env.TEST_BASE64 === '1';
 
 console.log('Connecting to streaming server...');
 const socket = io(STREAMING_SERVER, {
   transports: ['websocket', 'polling'],
-  rejectUnauthorized: false
+  rejectUnauthorized: false,
+  auth: { token: STREAM_TOKEN }
 });
 
 let streamReady = false;
@@ -34,6 +39,7 @@ socket.on('stream-ready', () => {
   const videoBuffer = fs.readFileSync(TEST_VIDEO);
   const chunkSize = 64 * 1024; // 64KB chunks
   let offset = 0;
+  let seq = 0;
   
   const sendChunks = () => {
     if (offset >= videoBuffer.length) {
@@ -43,12 +49,16 @@ socket.on('stream-ready', () => {
     }
     
     const chunk = videoBuffer.slice(offset, offset + chunkSize);
-    const base64Chunk = chunk.toString('base64');
     
-    socket.emit('stream-chunk', {
+    socket.emit('stream-chunk', USE_BASE64 ? {
       userId,
       challengeNum,
-      chunk: base64Chunk
+      chunk: chunk.toString('base64')
+    } : {
+      userId,
+      challengeNum,
+      seq: seq++,
+      chunk
     });
     
     offset += chunkSize;
@@ -71,7 +81,8 @@ socket.on('stream-stopped', () => {
     const https = require('https');
     const url = new URL(`${STREAMING_SERVER}/watch/${userId}/${challengeNum}`);
     const client = url.protocol === 'https:' ? https : http;
-    client.get(`${STREAMING_SERVER}/watch/${userId}/${challengeNum}`, (res) => {
+    const tokenQuery = `?token=${encodeURIComponent(STREAM_TOKEN)}`;
+    client.get(`${STREAMING_SERVER}/watch/${userId}/${challengeNum}${tokenQuery}`, (res) => {
       let data = '';
       res.on('data', (chunk) => { data += chunk; });
       res.on('end', () => {
@@ -84,7 +95,7 @@ socket.on('stream-stopped', () => {
         }
         
         console.log('\nTesting timelapse endpoint...');
-        client.get(`${STREAMING_SERVER}/timelapse/${userId}/${challengeNum}`, (res2) => {
+        client.get(`${STREAMING_SERVER}/timelapse/${userId}/${challengeNum}${tokenQuery}`, (res2) => {
           let data2 = '';
           res2.on('data', (chunk) => { data2 += chunk; });
           res2.on('end', () => {
@@ -112,6 +123,10 @@ socket.on('stream-stopped', () => {
   }, 5000);
 });
 
+socket.on('stream-error', ({ message }) => {
+  console.error('\nStream error:', message);
+});
+
 socket.on('disconnect', () => {
   console.log('\nDisconnected from server');
 });
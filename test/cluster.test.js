@@ -0,0 +1,171 @@
+// Cluster mode: two nodes sharing a RECORDINGS_DIR and a Redis server, which
+// is taken from CLUSTER_TEST_REDIS_URL (default: redis://127.0.0.1:6379).
+// Skipped when no Redis server is reachable there.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { createClient } = require('redis');
+const { ADMIN_API_KEY, getFreePort, startServer, issueToken, connect, nextEvent } = require('./helpers');
+
+const REDIS_URL = process.env.CLUSTER_TEST_REDIS_URL || 'redis://127.0.0.1:6379';
+// Keys and channels of this run only; registry entries expire on their own
+const PREFIX = `outback-test-${process.pid}:`;
+const OWNER_TTL = 3;
+
+// Helper function to check whether a TCP server accepts connections at a URL
+function isReachable(url) {
+  const { hostname, port } = new URL(url);
+  return new Promise((resolve) => {
+    const socket = net.connect(Number(port) || 6379, hostname);
+    socket.setTimeout(1000);
+    socket.once('connect', () => {
+      socket.destroy();
+      resolve(true);
+    });
+    socket.once('timeout', () => {
+      socket.destroy();
+      resolve(false);
+    });
+    socket.once('error', () => resolve(false));
+  });
+}
+
+// Helper function to wait until check() resolves to something truthy
+async function waitFor(check, timeoutMs, description) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${description}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+}
+
+// Helper function to fetch a recording through the admin API of a node
+async function getRecording(node, userId, challengeNum) {
+  const response = await fetch(`${node.url}/recordings-api/${userId}/${challengeNum}`, {
+    headers: { Authorization: `Bearer ${ADMIN_API_KEY}` }
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+describe('cluster mode', async () => {
+  const reachable = await isReachable(REDIS_URL);
+
+  describe('two nodes sharing a Redis server', { skip: !reachable && `no Redis server at ${REDIS_URL}` }, () => {
+    let recordingsDir;
+    let redis;
+    let nodeA;
+    let nodeB;
+    const sockets = [];
+
+    const getOwner = (streamKey) => redis.get(`${PREFIX}owner:${streamKey}`);
+
+    // Helper function to boot a node of the cluster
+    const startNode = async (nodeId) => {
+      const port = await getFreePort();
+      const node = await startServer({
+        PORT: String(port),
+        RECORDINGS_DIR: recordingsDir,
+        CLUSTER_ADAPTER: 'redis',
+        CLUSTER_REDIS_URL: REDIS_URL,
+        CLUSTER_PREFIX: PREFIX,
+        CLUSTER_OWNER_TTL: String(OWNER_TTL),
+        NODE_ID: nodeId,
+        NODE_URL: `http://127.0.0.1:${port}`
+      });
+      await node.waitForOutput(`Cluster node ${nodeId} joined`);
+      return node;
+    };
+
+    // Helper function to start streaming a key through a node
+    const startStream = async (node, userId, challengeNum) => {
+      const socket = await connect(node, await issueToken(node, userId, challengeNum));
+      sockets.push(socket);
+      socket.emit('start-stream', { userId, challengeNum });
+      await nextEvent(socket, 'stream-ready');
+      return socket;
+    };
+
+    before(async () => {
+      recordingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outback-test-'));
+      redis = createClient({ url: REDIS_URL });
+      await redis.connect();
+      nodeA = await startNode('a');
+      nodeB = await startNode('b');
+    });
+
+    after(async () => {
+      sockets.forEach((socket) => socket.disconnect());
+      await Promise.all([nodeA, nodeB].filter(Boolean).map((node) => node.stop()));
+      if (redis) {
+        await redis.quit();
+      }
+      fs.rmSync(recordingsDir, { recursive: true, force: true });
+    });
+
+    it('issues tokens on any node without claiming the key', async () => {
+      await issueToken(nodeB, 'alice', '1');
+      assert.equal(await getOwner('alice_1'), null);
+    });
+
+    it('serves admin requests for a key nobody owns without claiming it', async () => {
+      const { status, body } = await getRecording(nodeB, 'alice', '1');
+      assert.equal(status, 404);
+      assert.equal(body.error, 'Recording not found');
+      assert.equal(await getOwner('alice_1'), null);
+    });
+
+    it('claims a key nobody owns for the node a watch request lands on', async () => {
+      await fetch(`${nodeA.url}/watch/alice/1`);
+      assert.equal(await getOwner('alice_1'), 'a');
+    });
+
+    it('proxies requests for the key from other nodes to its owner', async () => {
+      await startStream(nodeA, 'alice', '1');
+      assert.equal(await getOwner('alice_1'), 'a');
+
+      // Only node a knows the stream is live, so node b answers with its view
+      const { status, body } = await getRecording(nodeB, 'alice', '1');
+      assert.equal(status, 200);
+      assert.equal(body.live, true);
+      assert.deepEqual(body.sessionDetails.filter((session) => session.live).map((session) => session.session), [1]);
+
+      const watch = await fetch(`${nodeB.url}/watch/alice/1`);
+      await watch.arrayBuffer();
+      assert.equal(await getOwner('alice_1'), 'a');
+    });
+
+    it('takes the key over when the stream starts on another node', async () => {
+      await startStream(nodeB, 'alice', '1');
+      assert.equal(await getOwner('alice_1'), 'b');
+      await nodeB.waitForOutput('Took over alice_1 from node a');
+
+      // Node a stops its stream once told, and from then on hands requests to node b
+      const { body } = await waitFor(async () => {
+        const recording = await getRecording(nodeA, 'alice', '1');
+        const live = recording.body.sessionDetails.filter((session) => session.live).map((session) => session.session);
+        return live.length === 1 && live[0] === 2 && recording;
+      }, 5000, 'node a to hand alice_1 to node b');
+      assert.equal(body.live, true);
+    });
+
+    it('releases the key once it is no longer used', async () => {
+      const socket = sockets.at(-1);
+      socket.emit('stop-stream', { userId: 'alice', challengeNum: '1' });
+      await nextEvent(socket, 'stream-stopped');
+
+      await waitFor(async () => (await getOwner('alice_1')) === null, 15000, 'alice_1 to be released');
+      const { body } = await getRecording(nodeA, 'alice', '1');
+      assert.equal(body.live, false);
+      assert.equal(await getOwner('alice_1'), null);
+    });
+  });
+});
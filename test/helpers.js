@@ -0,0 +1,138 @@
+// Helpers shared by the test suites: boot server.js in a temporary directory
+// and talk to it over HTTP and Socket.IO.
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const ADMIN_API_KEY = 'test-admin-key';
+
+// Helper function to get a port nothing is listening on
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Helper function to boot server.js in a fresh temporary directory, with its
+// own RECORDINGS_DIR inside it and on a free port unless env names them.
+// Resolves once it listens.
+async function startServer(env = {}) {
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outback-test-'));
+  const recordingsDir = env.RECORDINGS_DIR || path.join(baseDir, 'recordings');
+  fs.mkdirSync(recordingsDir, { recursive: true });
+  const port = env.PORT ? Number(env.PORT) : await getFreePort();
+  const child = spawn(process.execPath, [SERVER], {
+    cwd: baseDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      RECORDINGS_DIR: recordingsDir,
+      STREAM_TOKEN_SECRET: 'test-secret',
+      ADMIN_API_KEY,
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  const waiters = [];
+  const onOutput = (data) => {
+    output += data;
+    for (const waiter of waiters.filter(({ text }) => output.includes(text))) {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      waiter.resolve();
+    }
+  };
+  child.stdout.on('data', onOutput);
+  child.stderr.on('data', onOutput);
+
+  // Resolves once the server has logged text, rejects after timeoutMs
+  const waitForOutput = (text, timeoutMs = 15000) => new Promise((resolve, reject) => {
+    if (output.includes(text)) {
+      return resolve();
+    }
+    const timer = setTimeout(() => reject(new Error(`Server did not log "${text}":\n${output}`)), timeoutMs);
+    waiters.push({ text, resolve: () => { clearTimeout(timer); resolve(); } });
+  });
+
+  const exited = new Promise((resolve) => child.once('exit', resolve));
+  await Promise.race([
+    waitForOutput('Streaming server running on port'),
+    exited.then((code) => {
+      throw new Error(`Server exited with code ${code}:\n${output}`);
+    })
+  ]);
+
+  return {
+    baseDir,
+    recordingsDir,
+    url: `http://127.0.0.1:${port}`,
+    port,
+    waitForOutput,
+    get output() {
+      return output;
+    },
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill('SIGTERM');
+        await exited;
+      }
+      fs.rmSync(baseDir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Helper function to list every file and directory below a directory
+function listTree(dir) {
+  return fs.readdirSync(dir, { recursive: true }).map(String).sort();
+}
+
+// Helper function to issue a stream token through the admin endpoint
+async function issueToken(server, userId, challengeNum) {
+  const response = await fetch(`${server.url}/tokens/${encodeURIComponent(userId)}/${encodeURIComponent(challengeNum)}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${ADMIN_API_KEY}` }
+  });
+  assert.equal(response.status, 201);
+  return (await response.json()).token;
+}
+
+// Helper function to connect a Socket.IO client with a stream token
+function connect(server, token) {
+  return new Promise((resolve, reject) => {
+    const socket = io(server.url, { transports: ['websocket'], auth: { token }, reconnection: false });
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+}
+
+// Helper function to wait for the next event of a kind, with a time limit
+function nextEvent(socket, event) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No ${event} event`)), 5000);
+    socket.once(event, (payload) => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+}
+
+module.exports = {
+  ADMIN_API_KEY,
+  getFreePort,
+  startServer,
+  listTree,
+  issueToken,
+  connect,
+  nextEvent
+};
@@ -0,0 +1,243 @@
+// Stream key validation and stream page escaping, against a real server.
+// Each suite boots server.js on a free port with its own RECORDINGS_DIR inside
+// a temporary directory, so anything written outside of it shows up there.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ADMIN_API_KEY, startServer, listTree, issueToken, connect, nextEvent } = require('./helpers');
+
+// Invalid [userId, challengeNum] pairs as URL path segments, and the field
+// each one is rejected for. Sockets get the decoded values.
+const INVALID_KEYS = [
+  ['..%2F..%2Fetc', '1', 'userId'],
+  ['%2e%2e%2f%2e%2e%2fetc', '1', 'userId'],
+  ['%252e%252e%252f', '1', 'userId'],
+  ['%2egit', '1', 'userId'],
+  ['user', '..%2F..%2Fetc', 'challengeNum'],
+  ['user', '%2e%2e%2f', 'challengeNum'],
+  // Would share the directory a_b_c with a_b/c
+  ['a', 'b_c', 'challengeNum'],
+  ['%3C%2Fscript%3E%3Cscript%3Ealert(1)%3C%2Fscript%3E', '1', 'userId'],
+  ['%22\'%3E%3Cimg%20src%3Dx%20onerror%3Dalert(1)%3E', '1', 'userId']
+];
+
+describe('stream key validation', () => {
+  let server;
+  let socket;
+  let treeBefore;
+
+  before(async () => {
+    server = await startServer();
+    // Targets a traversal or a collision would hit, were it not refused
+    fs.mkdirSync(path.join(server.baseDir, '_canary'));
+    fs.mkdirSync(path.join(server.recordingsDir, 'a_b_c'));
+    fs.writeFileSync(path.join(server.recordingsDir, 'a_b_c', 'recording.json'), JSON.stringify({ userId: 'a_b', challengeNum: 'c' }));
+    socket = await connect(server, await issueToken(server, 'a_b', 'c'));
+    treeBefore = listTree(server.baseDir);
+  });
+
+  after(async () => {
+    if (socket) {
+      socket.close();
+    }
+    if (server) {
+      await server.stop();
+    }
+  });
+
+  const routes = [
+    ['GET', '/watch'],
+    ['GET', '/stream'],
+    ['GET', '/download'],
+    ['DELETE', '/recordings-api']
+  ];
+
+  for (const [method, route] of routes) {
+    for (const [userId, challengeNum, field] of INVALID_KEYS) {
+      it(`${method} ${route}/${userId}/${challengeNum} is rejected with 400`, async () => {
+        const response = await fetch(`${server.url}${route}/${userId}/${challengeNum}`, {
+          method,
+          headers: { Authorization: `Bearer ${ADMIN_API_KEY}` }
+        });
+        assert.equal(response.status, 400);
+        const text = await response.text();
+        assert.doesNotMatch(text, /[<>]/);
+        const body = JSON.parse(text);
+        assert.equal(body.error, `Invalid ${field}`);
+        assert.equal(body.field, field);
+      });
+    }
+  }
+
+  it('DELETE /recordings-api/..%2F/canary does not reach outside RECORDINGS_DIR', async () => {
+    const response = await fetch(`${server.url}/recordings-api/..%2F/canary`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${ADMIN_API_KEY}` }
+    });
+    assert.equal(response.status, 400);
+    assert.ok(fs.existsSync(path.join(server.baseDir, '_canary')));
+  });
+
+  it('accepts a_b/c, whose directory a/b_c can no longer claim', async () => {
+    const response = await fetch(`${server.url}/recordings-api/a_b/c`, {
+      headers: { Authorization: `Bearer ${ADMIN_API_KEY}` }
+    });
+    assert.notEqual(response.status, 400);
+    assert.ok(fs.existsSync(path.join(server.recordingsDir, 'a_b_c')));
+  });
+
+  for (const [userId, challengeNum, field] of INVALID_KEYS) {
+    const payload = { userId: decodeURIComponent(userId), challengeNum: decodeURIComponent(challengeNum) };
+
+    it(`start-stream with ${JSON.stringify(payload)} is rejected`, async () => {
+      const error = nextEvent(socket, 'stream-error');
+      socket.emit('start-stream', payload);
+      const { error: name, field: rejectedField, event } = await error;
+      assert.equal(name, `Invalid ${field}`);
+      assert.equal(rejectedField, field);
+      assert.equal(event, 'start-stream');
+    });
+
+    it(`stream-chunk with ${JSON.stringify(payload)} is rejected`, async () => {
+      const error = nextEvent(socket, 'stream-error');
+      const ack = await socket.timeout(5000).emitWithAck('stream-chunk', { ...payload, seq: 0, chunk: Buffer.alloc(16) });
+      assert.equal(ack.ok, false);
+      assert.equal((await error).error, `Invalid ${field}`);
+    });
+  }
+
+  it('start-stream without a payload is rejected', async () => {
+    const error = nextEvent(socket, 'stream-error');
+    socket.emit('start-stream');
+    assert.equal((await error).error, 'Invalid payload');
+  });
+
+  // Payloads a handler can't destructure, and the error event each event answers with
+  const eventErrors = [
+    ['start-stream', 'stream-error'],
+    ['stream-chunk', 'stream-error'],
+    ['resume-stream', 'stream-error'],
+    ['stop-stream', 'stream-error'],
+    ['watch-stream', 'watch-error'],
+    ['subscribe-job', 'job-error']
+  ];
+
+  for (const [event, errorEvent] of eventErrors) {
+    for (const payload of [null, 42, 'a_b_c']) {
+      it(`${event} with ${JSON.stringify(payload)} is rejected with ${errorEvent}`, async () => {
+        const error = nextEvent(socket, errorEvent);
+        socket.emit(event, payload);
+        assert.equal((await error).error, 'Invalid payload');
+      });
+    }
+  }
+
+  it('stream-chunk with a null payload is acknowledged as failed', async () => {
+    const ack = await socket.timeout(5000).emitWithAck('stream-chunk', null);
+    assert.deepEqual(ack, { ok: false, error: 'Forbidden' });
+  });
+
+  it('the server survives malformed payloads', async () => {
+    const response = await fetch(`${server.url}/health/live`);
+    assert.equal(response.status, 200);
+    assert.ok(socket.connected);
+  });
+
+  it('rejected requests and events leave the file system untouched', () => {
+    assert.deepEqual(listTree(server.baseDir), treeBefore);
+  });
+});
+
+describe('stream page escaping', () => {
+  let server;
+
+  before(async () => {
+    // A pattern that lets markup through, so escaping is all that stands in the way
+    server = await startServer({ USER_ID_PATTERN: '^.+$' });
+  });
+
+  after(async () => {
+    if (server) {
+      await server.stop();
+    }
+  });
+
+  // Helper function to fetch the stream page, optionally with a forged Host header
+  function getStreamPage(userId, token, host) {
+    return new Promise((resolve, reject) => {
+      const request = http.get({
+        port: server.port,
+        host: '127.0.0.1',
+        path: `/stream/${encodeURIComponent(userId)}/1?token=${encodeURIComponent(token)}`,
+        headers: host ? { Host: host } : {}
+      }, (response) => {
+        let body = '';
+        response.setEncoding('utf8');
+        response.on('data', (data) => {
+          body += data;
+        });
+        response.on('end', () => resolve({ status: response.statusCode, body }));
+      });
+      request.on('error', reject);
+    });
+  }
+
+  it('escapes "\'><img onerror> in HTML and in the inline script', async () => {
+    const userId = '"\'><img src=x onerror=alert(1)>';
+    const { status, body } = await getStreamPage(userId, await issueToken(server, userId, '1'));
+    assert.equal(status, 200);
+    assert.ok(!body.includes('<img'));
+    assert.ok(body.includes('<h1>Stream: &quot;&#39;&gt;&lt;img src=x onerror=alert(1)&gt;_1</h1>'));
+    assert.ok(body.includes('const userId = "\\"\'\\u003e\\u003cimg src=x onerror=alert(1)\\u003e";'));
+  });
+
+  it('keeps <!--<script> from changing how the inline script is parsed', async () => {
+    const userId = '<!--<script>';
+    const { status, body } = await getStreamPage(userId, await issueToken(server, userId, '1'));
+    assert.equal(status, 200);
+    assert.ok(!body.includes('<!--'));
+    assert.ok(body.includes('const userId = "\\u003c!--\\u003cscript\\u003e";'));
+  });
+
+  it('escapes a forged Host header', async () => {
+    const token = await issueToken(server, 'user', '1');
+    const { status, body } = await getStreamPage('user', token, 'x"><img src=x onerror=alert(1)>');
+    assert.equal(status, 200);
+    assert.ok(!body.includes('<img'));
+    assert.ok(body.includes('x&quot;&gt;&lt;img src=x onerror=alert(1)&gt;'));
+  });
+
+  it('refuses </script><script> whatever the pattern allows', async () => {
+    const response = await fetch(`${server.url}/stream/${encodeURIComponent('</script><script>')}/1`);
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'Invalid userId');
+  });
+});
+
+describe('recording files', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ WATCH_REQUIRE_TOKEN: 'true' });
+  });
+
+  after(async () => {
+    if (server) {
+      await server.stop();
+    }
+  });
+
+  it('rejects a malformed escape in the stream key with 400', async () => {
+    const response = await fetch(`${server.url}/recordings/%E0%A4%A/playlist.m3u8`);
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'Invalid stream key');
+  });
+
+  it('rejects a token for another stream key with 403', async () => {
+    const token = await issueToken(server, 'user', '1');
+    const response = await fetch(`${server.url}/recordings/other_1/playlist.m3u8?token=${token}`);
+    assert.equal(response.status, 403);
+  });
+});
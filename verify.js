@@ -0,0 +1,450 @@
+// Tamper-evident recording manifests (see README). Every session keeps a hash
+// chain over the chunks written to its input.webm, and manifest.json lists
+// the hashes of a recording's inputs, HLS segments and timelapses, signed with
+// the server's Ed25519 key. server.js writes manifests with createManifest;
+// verifyRecording re-hashes the files on disk and reports every mismatch.
+//
+// Verify a recording without the server:
+//   node verify.js recordings/<userId>_<challengeNum> [--public-key key.pem]
+// Without --public-key, the key is derived from MANIFEST_KEY_FILE (or the
+// .manifest-key.pem next to the recording). Files evicted to a bucket are read
+// from it when the STORAGE_BACKEND/S3_* settings are set. Exits with 1 if
+// anything is off.
+//
+// Both functions take an optional evicted ({ paths, open(relPath) }, see
+// storage.js) for files that only exist in the bucket.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createStorage, readStorageIndex, getEvictedFiles } = require('./storage');
+
+const MANIFEST_FILE = 'manifest.json';
+const CHAIN_FILE = 'chain.jsonl';
+const MANIFEST_VERSION = 1;
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Helper function to get the first link of a session's hash chain, which ties
+// the chain to its stream key, session and start time
+function getChainGenesis(userId, challengeNum, session, startTime) {
+  return sha256(JSON.stringify([String(userId), String(challengeNum), session, startTime]));
+}
+
+// Helper function to get the chain link for a chunk from the previous link and
+// the chunk's { seq, receivedAt, bytes, sha256 }
+function getChainLink(previousHash, entry) {
+  return sha256(`${previousHash}:${entry.seq}:${entry.receivedAt}:${entry.bytes}:${entry.sha256}`);
+}
+
+// Helper function to get a short id for a public key, so manifests say which key signed them
+function getKeyId(publicKey) {
+  return sha256(publicKey.export({ type: 'spki', format: 'der' })).slice(0, 16);
+}
+
+// Helper function to read a JSON file, or null if it is missing or unreadable
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Helper function to check whether a file of a recording exists, locally or in the bucket
+function fileExists(recordingPath, relPath, evicted) {
+  return fs.existsSync(path.join(recordingPath, relPath)) || Boolean(evicted && evicted.paths.has(relPath));
+}
+
+// Helper function to open a file of a recording as a stream, from the bucket if it was evicted
+async function openFile(recordingPath, relPath, evicted) {
+  const file = path.join(recordingPath, relPath);
+  if (evicted && evicted.paths.has(relPath) && !fs.existsSync(file)) {
+    return evicted.open(relPath);
+  }
+  return fs.createReadStream(file);
+}
+
+// Helper function to hash a file of a recording as a stream, resolving to { bytes, sha256 }
+async function hashFile(recordingPath, relPath, evicted) {
+  const stream = await openFile(recordingPath, relPath, evicted);
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    let bytes = 0;
+    stream
+      .on('data', (data) => {
+        hash.update(data);
+        bytes += data.length;
+      })
+      .on('error', reject)
+      .on('end', () => resolve({ bytes, sha256: hash.digest('hex') }));
+  });
+}
+
+// Helper function to list a recording's session directories that hold data
+// (an input.webm, or one removed by the retention policy), in order
+function listSessionDirs(recordingPath, evicted) {
+  return fs.readdirSync(recordingPath, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && /^session_\d+$/.test(entry.name))
+    .map((entry) => entry.name)
+    .filter((sessionDir) => fileExists(recordingPath, `${sessionDir}/input.webm`, evicted) ||
+      (readJson(path.join(recordingPath, sessionDir, 'session.json')) || {}).inputPrunedAt)
+    .sort();
+}
+
+// Helper function to list the HLS files of a session (segments and VOD
+// playlists of every rendition), relative to the recording. The rolling live
+// playlists are left out as FFmpeg rewrites them.
+function listSessionFiles(recordingPath, sessionDir, evicted) {
+  const files = [...(evicted ? evicted.paths : [])]
+    .filter((relPath) => relPath.startsWith(`${sessionDir}/`) && (relPath.endsWith('.ts') || relPath.endsWith('/vod.m3u8')));
+  const walk = (relDir) => {
+    for (const entry of fs.readdirSync(path.join(recordingPath, relDir), { withFileTypes: true })) {
+      const relPath = `${relDir}/${entry.name}`;
+      if (entry.isDirectory()) {
+        walk(relPath);
+      } else if (entry.name.endsWith('.ts') || entry.name === 'vod.m3u8') {
+        files.push(relPath);
+      }
+    }
+  };
+  walk(sessionDir);
+  return [...new Set(files)].sort();
+}
+
+// Helper function to list the files of every timelapse variant of a recording
+function listTimelapseFiles(recordingPath, evicted) {
+  return [...new Set([...fs.readdirSync(recordingPath), ...(evicted ? evicted.paths : [])])]
+    .filter((entry) => /^timelapse[^/]*\.(m3u8|ts|json)$/.test(entry))
+    .sort();
+}
+
+// Helper function to hash a list of files relative to the recording
+async function hashFiles(recordingPath, relPaths, evicted) {
+  const files = [];
+  for (const relPath of relPaths) {
+    files.push({ path: relPath, ...await hashFile(recordingPath, relPath, evicted) });
+  }
+  return files;
+}
+
+// Helper function to get the bytes a manifest signature covers
+function getSigningPayload(manifest) {
+  const { signature, ...unsigned } = manifest;
+  return Buffer.from(JSON.stringify(unsigned));
+}
+
+// Helper function to check a manifest's signature against a public key
+function checkSignature(manifest, publicKey) {
+  if (!manifest || !manifest.signature || manifest.signature.algorithm !== 'ed25519') {
+    return false;
+  }
+  try {
+    return crypto.verify(null, getSigningPayload(manifest), publicKey, Buffer.from(manifest.signature.value, 'base64'));
+  } catch (e) {
+    return false;
+  }
+}
+
+// Helper function to build and sign the manifest of a recording. Sessions in
+// skipSessions (e.g. the one being recorded) are left out. Sessions already
+// sealed by a valid previous manifest are carried over as they were, so a
+// later seal (say, after a timelapse) can never legitimize an edited session;
+// only new sessions and the timelapses are hashed.
+async function createManifest(recordingPath, { userId, challengeNum, privateKey, skipSessions = [], evicted = null }) {
+  const publicKey = crypto.createPublicKey(privateKey);
+  const previous = readJson(path.join(recordingPath, MANIFEST_FILE));
+  const sealed = new Map();
+  if (previous && checkSignature(previous, publicKey)) {
+    for (const session of previous.sessions) {
+      sealed.set(session.session, session);
+    }
+  } else if (previous) {
+    console.warn(`Previous manifest of ${recordingPath} has an invalid signature, re-hashing every session`);
+  }
+
+  const sessions = [];
+  for (const sessionDir of listSessionDirs(recordingPath, evicted)) {
+    if (skipSessions.includes(sessionDir)) {
+      continue;
+    }
+    if (sealed.has(sessionDir)) {
+      sessions.push(sealed.get(sessionDir));
+      continue;
+    }
+    const sessionPath = path.join(recordingPath, sessionDir);
+    const metadata = readJson(path.join(sessionPath, 'session.json')) || {};
+    const chainFile = path.join(sessionPath, CHAIN_FILE);
+    // Sessions pruned before they were ever sealed only have their segments left
+    const inputPresent = fileExists(recordingPath, `${sessionDir}/input.webm`, evicted);
+
+    let chain = null;
+    if (fs.existsSync(chainFile)) {
+      const entries = fs.readFileSync(chainFile, 'utf8').split('\n').filter(Boolean).map((line) => JSON.parse(line));
+      chain = {
+        file: `${sessionDir}/${CHAIN_FILE}`,
+        chunks: entries.length,
+        head: entries.length > 0
+          ? entries[entries.length - 1].hash
+          : getChainGenesis(userId, challengeNum, metadata.session, metadata.startTime),
+        firstReceivedAt: entries.length > 0 ? entries[0].receivedAt : null,
+        lastReceivedAt: entries.length > 0 ? entries[entries.length - 1].receivedAt : null
+      };
+    }
+
+    sessions.push({
+      session: sessionDir,
+      number: metadata.session,
+      startTime: metadata.startTime,
+      sealedAt: new Date().toISOString(),
+      input: inputPresent ? { path: `${sessionDir}/input.webm`, ...await hashFile(recordingPath, `${sessionDir}/input.webm`, evicted) } : null,
+      chain,
+      files: await hashFiles(recordingPath, listSessionFiles(recordingPath, sessionDir, evicted), evicted)
+    });
+  }
+
+  const manifest = {
+    version: MANIFEST_VERSION,
+    userId: String(userId),
+    challengeNum: String(challengeNum),
+    createdAt: new Date().toISOString(),
+    sessions,
+    timelapses: await hashFiles(recordingPath, listTimelapseFiles(recordingPath, evicted), evicted)
+  };
+  manifest.signature = {
+    algorithm: 'ed25519',
+    keyId: getKeyId(publicKey),
+    value: crypto.sign(null, getSigningPayload(manifest), privateKey).toString('base64')
+  };
+  return manifest;
+}
+
+// Helper function to check a session's chain.jsonl against its sealed head and
+// its input.webm chunk by chunk. Returns null, or the first problem found.
+async function checkChain(recordingPath, manifest, session, inputPresent, evicted) {
+  const chainFile = path.join(recordingPath, session.chain.file);
+  if (!fs.existsSync(chainFile)) {
+    return { path: session.chain.file, problem: 'missing' };
+  }
+  let entries;
+  try {
+    entries = fs.readFileSync(chainFile, 'utf8').split('\n').filter(Boolean).map((line) => JSON.parse(line));
+  } catch (e) {
+    return { path: session.chain.file, problem: 'modified', detail: 'Chain log is not valid JSON lines' };
+  }
+
+  let head = getChainGenesis(manifest.userId, manifest.challengeNum, session.number, session.startTime);
+  for (let index = 0; index < entries.length; index++) {
+    head = getChainLink(head, entries[index]);
+    if (entries[index].hash !== head) {
+      return { path: session.chain.file, problem: 'modified', detail: `Chain breaks at chunk ${index}` };
+    }
+  }
+  if (entries.length !== session.chain.chunks || head !== session.chain.head) {
+    return { path: session.chain.file, problem: 'modified', detail: 'Chain does not end at the sealed head' };
+  }
+  if (!inputPresent) {
+    return null;
+  }
+
+  // Walk input.webm chunk by chunk to locate the first altered one
+  const stream = await openFile(recordingPath, session.input.path, evicted);
+  let index = 0;
+  let remaining = entries.length > 0 ? entries[0].bytes : 0;
+  let hash = crypto.createHash('sha256');
+  let problem = null;
+  await new Promise((resolve, reject) => {
+    stream.on('data', (data) => {
+      let offset = 0;
+      while (offset < data.length && !problem) {
+        if (index >= entries.length) {
+          problem = { path: session.input.path, problem: 'modified', detail: 'Input has data after the last chunk' };
+          break;
+        }
+        const take = Math.min(remaining, data.length - offset);
+        hash.update(data.subarray(offset, offset + take));
+        offset += take;
+        remaining -= take;
+        if (remaining === 0) {
+          const entry = entries[index];
+          if (hash.digest('hex') !== entry.sha256) {
+            problem = {
+              path: session.input.path,
+              problem: 'modified',
+              detail: `Chunk ${index} (seq ${entry.seq}, received ${new Date(entry.receivedAt).toISOString()}) does not match`
+            };
+            break;
+          }
+          index++;
+          hash = crypto.createHash('sha256');
+          remaining = index < entries.length ? entries[index].bytes : 0;
+        }
+      }
+      if (problem) {
+        stream.destroy();
+        resolve();
+      }
+    });
+    stream.on('error', reject);
+    stream.on('end', resolve);
+  });
+  if (!problem && index < entries.length) {
+    problem = { path: session.input.path, problem: 'modified', detail: `Input ends inside chunk ${index}` };
+  }
+  return problem;
+}
+
+// Helper function to re-hash a list of sealed files, adding a mismatch for each
+// file that is missing or differs
+async function checkFiles(recordingPath, files, mismatches, evicted) {
+  for (const file of files) {
+    if (!fileExists(recordingPath, file.path, evicted)) {
+      mismatches.push({ path: file.path, problem: 'missing' });
+      continue;
+    }
+    const actual = await hashFile(recordingPath, file.path, evicted);
+    if (actual.sha256 !== file.sha256 || actual.bytes !== file.bytes) {
+      mismatches.push({ path: file.path, problem: 'modified' });
+    }
+  }
+}
+
+// Helper function to verify a recording against its manifest: the signature,
+// each session's input, hash chain and HLS files, and the timelapses. Covered
+// files that the manifest doesn't list are reported as unsealed. Sessions in
+// skipSessions (still being recorded) are ignored.
+async function verifyRecording(recordingPath, { publicKey, skipSessions = [], evicted = null }) {
+  const manifest = readJson(path.join(recordingPath, MANIFEST_FILE));
+  if (!manifest) {
+    throw new Error('Manifest not found');
+  }
+
+  const mismatches = [];
+  const signatureValid = checkSignature(manifest, publicKey);
+  if (!signatureValid) {
+    mismatches.push({ path: MANIFEST_FILE, problem: 'bad-signature' });
+  }
+
+  const sessions = [];
+  for (const session of manifest.sessions || []) {
+    const before = mismatches.length;
+    const metadata = readJson(path.join(recordingPath, session.session, 'session.json')) || {};
+    const inputPresent = Boolean(session.input) && fileExists(recordingPath, session.input.path, evicted);
+    // Inputs removed by the retention policy can't be checked, their segments still are
+    const inputPruned = !inputPresent && Boolean(metadata.inputPrunedAt);
+    if (inputPresent) {
+      await checkFiles(recordingPath, [session.input], mismatches, evicted);
+    } else if (session.input && !inputPruned) {
+      mismatches.push({ path: session.input.path, problem: 'missing' });
+    }
+    if (session.chain) {
+      const problem = await checkChain(recordingPath, manifest, session, inputPresent, evicted);
+      if (problem) {
+        mismatches.push(problem);
+      }
+    }
+    await checkFiles(recordingPath, session.files, mismatches, evicted);
+    sessions.push({
+      session: session.session,
+      sealedAt: session.sealedAt,
+      chunks: session.chain ? session.chain.chunks : null,
+      inputPruned,
+      valid: mismatches.length === before
+    });
+  }
+  await checkFiles(recordingPath, manifest.timelapses || [], mismatches, evicted);
+
+  // Anything playable that the manifest doesn't cover, e.g. a spliced-in session
+  const sealedSessions = new Set((manifest.sessions || []).map((session) => session.session));
+  const sealedFiles = new Set([
+    ...(manifest.sessions || []).flatMap((session) => session.files.map((file) => file.path)),
+    ...(manifest.timelapses || []).map((file) => file.path)
+  ]);
+  for (const sessionDir of listSessionDirs(recordingPath, evicted)) {
+    if (skipSessions.includes(sessionDir)) {
+      continue;
+    }
+    if (!sealedSessions.has(sessionDir)) {
+      mismatches.push({ path: sessionDir, problem: 'unsealed' });
+      continue;
+    }
+    for (const relPath of listSessionFiles(recordingPath, sessionDir, evicted)) {
+      if (!sealedFiles.has(relPath)) {
+        mismatches.push({ path: relPath, problem: 'unsealed' });
+      }
+    }
+  }
+  for (const relPath of listTimelapseFiles(recordingPath, evicted)) {
+    if (!sealedFiles.has(relPath)) {
+      mismatches.push({ path: relPath, problem: 'unsealed' });
+    }
+  }
+
+  return {
+    valid: mismatches.length === 0,
+    userId: manifest.userId,
+    challengeNum: manifest.challengeNum,
+    signedAt: manifest.createdAt,
+    signature: { valid: signatureValid, keyId: manifest.signature ? manifest.signature.keyId : null },
+    sessions,
+    timelapseFiles: (manifest.timelapses || []).length,
+    mismatches
+  };
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  CHAIN_FILE,
+  getChainGenesis,
+  getChainLink,
+  getKeyId,
+  createManifest,
+  verifyRecording
+};
+
+// Command line: node verify.js <recording directory> [--public-key <file>]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const keyIndex = args.indexOf('--public-key');
+  const publicKeyFile = keyIndex !== -1 ? args.splice(keyIndex, 2)[1] : null;
+  const recordingPath = args[0];
+  if (!recordingPath) {
+    console.error('Usage: node verify.js <recording directory> [--public-key <file>]');
+    process.exit(2);
+  }
+
+  let publicKey;
+  try {
+    if (publicKeyFile) {
+      publicKey = crypto.createPublicKey(fs.readFileSync(publicKeyFile));
+    } else {
+      const keyFile = process.env.MANIFEST_KEY_FILE || path.join(path.dirname(path.resolve(recordingPath)), '.manifest-key.pem');
+      publicKey = crypto.createPublicKey(fs.readFileSync(keyFile));
+    }
+  } catch (e) {
+    console.error('Could not load the public key:', e.message);
+    process.exit(2);
+  }
+
+  let evicted;
+  try {
+    evicted = getEvictedFiles(createStorage(process.env), path.resolve(recordingPath));
+  } catch (e) {
+    console.error('Could not set up the storage backend:', e.message);
+    process.exit(2);
+  }
+  if (!evicted && Object.keys(readStorageIndex(recordingPath)).length > 0) {
+    console.warn('This recording has files in a bucket, set STORAGE_BACKEND and S3_* to check them too');
+  }
+
+  verifyRecording(path.resolve(recordingPath), { publicKey, evicted })
+    .then((report) => {
+      console.log(JSON.stringify(report, null, 2));
+      process.exit(report.valid ? 0 : 1);
+    })
+    .catch((err) => {
+      console.error('Verification failed:', err.message);
+      process.exit(2);
+    });
+}